@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+// Benchmark the heavy task stages on this machine (see src/benchmark.js).
+// Runs the same worker as the app, without starting the app.
+const fs = require('fs');
+const path = require('path');
+const { Benchmark, FORMATTERS, DEFAULT_THRESHOLD_PERCENT, compareReports, checkReport } = require('./src/benchmark');
+const { validateTaskOptions } = require('./src/task-registry');
+const { TASK_ARGS_USAGE, parseTaskArg } = require('./src/task-args');
+const { WorkerRunner } = require('./src/worker-runner');
+const { ThreadPool, ThreadRunner } = require('./src/thread-pool');
+const { createSettings, defaultUserDataDir } = require('./src/settings');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // a run failed or a file could not be read or written
+  USAGE: 2,
+  REGRESSED: 3 // a stage regressed against the baseline
+};
+
+const USAGE = `Usage: node benchmark.js [options]
+
+Runs the selected stages repeatedly and reports min/median/p95 times per
+stage, peak RSS and CPU time.
+
+Task options (defaults come from the app's settings):
+${TASK_ARGS_USAGE}
+
+Benchmark options:
+  --iterations <n>       Measured runs (default 5)
+  --warmup <n>           Unmeasured runs first (default 1)
+  --backend <name>       process or thread (default: jobs.backend from settings)
+  --out <dir>            Where to write the reports (default: current directory)
+  --format <list>        Report formats: json,csv,html (default: all three)
+  --baseline <file>      Compare with a saved JSON report
+  --threshold <percent>  Median slowdown that counts as a regression (default ${DEFAULT_THRESHOLD_PERCENT})
+  --save-baseline <file> Also write this report as JSON to <file>
+  --user-data <dir>      App user data directory to read settings.json from
+  --verbose              Print the worker's output
+
+Exit codes: 0 ok, 1 run failed, 2 usage error, 3 regression against the baseline`;
+
+function parseArgs(argv) {
+  const args = {
+    options: {},
+    iterations: 5,
+    warmup: 1,
+    backend: null,
+    out: process.cwd(),
+    formats: Object.keys(FORMATTERS),
+    baseline: null,
+    thresholdPercent: DEFAULT_THRESHOLD_PERCENT,
+    saveBaseline: null,
+    userData: null,
+    verbose: false
+  };
+  const rest = [...argv];
+  const takeValue = (arg) => {
+    const value = rest.shift();
+    if (value === undefined) throw new Error(`${arg} needs a value`);
+    return value;
+  };
+  const takeCount = (arg, min) => {
+    const value = Number(takeValue(arg));
+    if (!Number.isInteger(value) || value < min) throw new Error(`${arg} must be a whole number of at least ${min}`);
+    return value;
+  };
+
+  while (rest.length > 0) {
+    const arg = rest.shift();
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '--iterations') {
+      args.iterations = takeCount(arg, 1);
+    } else if (arg === '--warmup') {
+      args.warmup = takeCount(arg, 0);
+    } else if (arg === '--backend') {
+      args.backend = takeValue(arg);
+      if (!['process', 'thread'].includes(args.backend)) throw new Error('--backend must be process or thread');
+    } else if (arg === '--format') {
+      args.formats = takeValue(arg).split(',').map(format => format.trim()).filter(Boolean);
+      const unknown = args.formats.filter(format => !FORMATTERS[format]);
+      if (unknown.length > 0 || args.formats.length === 0) throw new Error(`--format takes ${Object.keys(FORMATTERS).join(', ')}`);
+    } else if (arg === '--threshold') {
+      args.thresholdPercent = Number(takeValue(arg));
+      if (!(args.thresholdPercent >= 0)) throw new Error('--threshold must be a percentage');
+    } else if (arg === '--out' || arg === '--baseline' || arg === '--save-baseline' || arg === '--user-data') {
+      const key = { '--out': 'out', '--baseline': 'baseline', '--save-baseline': 'saveBaseline', '--user-data': 'userData' }[arg];
+      args[key] = path.resolve(takeValue(arg));
+    } else if (parseTaskArg(arg, takeValue, args.options)) {
+      continue;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function readBaseline(filePath) {
+  try {
+    return checkReport(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Cannot use ${filePath} as a baseline: ${error.message}`);
+  }
+}
+
+function formatMs(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+function printSummary(report, comparison) {
+  console.log('');
+  report.stages.forEach(stage => {
+    console.log(`${stage.stage.padEnd(14)} min ${formatMs(stage.min).padStart(8)}  median ${formatMs(stage.median).padStart(8)}  p95 ${formatMs(stage.p95).padStart(8)}`);
+  });
+  console.log(`${'total'.padEnd(14)} min ${formatMs(report.total.min).padStart(8)}  median ${formatMs(report.total.median).padStart(8)}  p95 ${formatMs(report.total.p95).padStart(8)}`);
+  if (report.peakRssMB) console.log(`peak RSS       median ${report.peakRssMB.median} MB, max ${report.peakRssMB.samples.reduce((a, b) => Math.max(a, b), 0)} MB`);
+  console.log(`CPU time       median ${report.cpuSeconds.median.toFixed(2)}s`);
+
+  if (!comparison) return;
+  console.log(`\nAgainst baseline from ${new Date(comparison.baselineCreatedAt).toLocaleString()} (${comparison.baselineMachine.hostname}), threshold ${comparison.thresholdPercent}%:`);
+  if (!comparison.optionsMatch) console.log('  Warning: the baseline was run with different options or backend');
+  comparison.rows.forEach(row => {
+    const change = `${row.changePercent >= 0 ? '+' : ''}${row.changePercent.toFixed(1)}%`;
+    console.log(`  ${row.name.padEnd(14)} ${formatMs(row.baseline).padStart(8)} -> ${formatMs(row.current).padStart(8)}  ${change.padStart(7)}${row.regressed ? '  REGRESSED' : ''}`);
+  });
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const settings = createSettings(args.userData || defaultUserDataDir());
+  let taskOptions;
+  try {
+    taskOptions = validateTaskOptions(args.options, { checkPaths: true, defaults: settings.getTaskDefaults() });
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.USAGE;
+  }
+
+  let baseline = null;
+  try {
+    baseline = args.baseline ? readBaseline(args.baseline) : null;
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.FAILED;
+  }
+
+  const backend = args.backend || settings.get('jobs.backend');
+  const graceMs = settings.get('jobs.cancelGracePeriodMs');
+  const pool = backend === 'thread' ? new ThreadPool({ maxIdle: 1 }) : null;
+  const benchmark = new Benchmark({
+    taskOptions,
+    backend,
+    iterations: args.iterations,
+    warmup: args.warmup,
+    createRunner: (options) => {
+      const runner = pool
+        ? new ThreadRunner({ taskOptions: options, graceMs, pool })
+        : new WorkerRunner({ taskOptions: options, graceMs });
+      if (args.verbose) {
+        runner.on('output', (stream, text) => process[stream].write(text));
+      }
+      return runner;
+    }
+  });
+
+  benchmark.on('run', ({ index, count, warmup, result }) => {
+    const label = warmup ? `warm-up ${index + 1}/${args.warmup}` : `run ${index + 1 - args.warmup}/${args.iterations}`;
+    const stages = result.stages.map(stage => `${stage.stage} ${formatMs(stage.durationMs)}`).join(', ');
+    console.log(`${label}: ${result.success ? formatMs(result.durationMs) : 'failed'}${stages ? ` (${stages})` : ''}`);
+  });
+  process.once('SIGINT', () => {
+    console.log('Cancelling...');
+    benchmark.cancel();
+  });
+
+  console.log(`Benchmarking ${taskOptions.stages.join(', ')} on the ${backend} backend: ${args.warmup} warm-up + ${args.iterations} runs`);
+  let report;
+  try {
+    report = await benchmark.run();
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.FAILED;
+  } finally {
+    if (pool) pool.destroy();
+  }
+
+  const comparison = baseline ? compareReports(report, baseline, args.thresholdPercent) : null;
+  printSummary(report, comparison);
+
+  try {
+    fs.mkdirSync(args.out, { recursive: true });
+    const name = `benchmark-${new Date(report.createdAt).toISOString().replace(/[:.]/g, '-')}`;
+    console.log('');
+    args.formats.forEach(format => {
+      const filePath = path.join(args.out, `${name}.${format}`);
+      fs.writeFileSync(filePath, FORMATTERS[format](report, comparison));
+      console.log(`Wrote ${filePath}`);
+    });
+    if (args.saveBaseline) {
+      fs.writeFileSync(args.saveBaseline, FORMATTERS.json(report));
+      console.log(`Saved baseline ${args.saveBaseline}`);
+    }
+  } catch (error) {
+    console.error(`Could not write the reports: ${error.message}`);
+    return EXIT_CODES.FAILED;
+  }
+
+  return comparison && comparison.regressed ? EXIT_CODES.REGRESSED : EXIT_CODES.OK;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -1,128 +1,172 @@
 #!/usr/bin/env node
 
-// Cleanup script to remove restart mechanisms
-const os = require('os');
-const fs = require('fs');
+// Install, remove and inspect the restart mechanism from the command line.
+// Shares its logic with the app via src/service-manager.js.
 const path = require('path');
-const { exec } = require('child_process');
+const { ServiceManager, SERVICE_STATES } = require('./src/service-manager');
+const { createSettings, defaultUserDataDir } = require('./src/settings');
 
-const platform = os.platform();
+// status/verify exit codes, so provisioning scripts can branch on state
+const EXIT_CODES = {
+  OK: 0, // install/uninstall succeeded, or installed and healthy
+  FAILED: 1,
+  USAGE: 2,
+  NOT_INSTALLED: 3,
+  BROKEN: 4
+};
 
-console.log(`Cleaning up restart mechanisms for ${platform}...`);
+const STATE_EXIT_CODES = {
+  [SERVICE_STATES.HEALTHY]: EXIT_CODES.OK,
+  [SERVICE_STATES.NOT_INSTALLED]: EXIT_CODES.NOT_INSTALLED,
+  [SERVICE_STATES.BROKEN]: EXIT_CODES.BROKEN
+};
 
-async function cleanup() {
-  try {
-    switch (platform) {
-      case 'win32':
-        await cleanupWindows();
-        break;
-      case 'darwin':
-        await cleanupMacOS();
-        break;
-      case 'linux':
-        await cleanupLinux();
-        break;
-      default:
-        console.log('Unknown platform:', platform);
+const COMMANDS = ['install', 'uninstall', 'status', 'verify'];
+
+const USAGE = `Usage: node cleanup.js [command] [options]
+
+Commands:
+  install     Install the restart mechanism for the packaged app
+  uninstall   Remove it (default, for compatibility with 'npm run cleanup')
+  status      Show what is installed
+  verify      Like status, and check installed files against the current settings
+
+Options:
+  --dry-run            Print the files and commands that would be touched, change nothing
+  --json               Print a JSON result instead of text
+  --app-path <path>    Executable to restart (default: the packaged app in /Applications or dist/)
+  --dev                Restart this checkout with its node_modules Electron instead (Linux)
+  --user-data <dir>    App user data directory to read settings.json from
+
+Exit codes: 0 ok / healthy, 1 failed, 2 usage error, 3 not installed, 4 installed but broken`;
+
+function parseArgs(argv) {
+  const args = { command: 'uninstall', dryRun: false, json: false, dev: false, appPath: null, userData: null };
+  const rest = [...argv];
+  while (rest.length > 0) {
+    const arg = rest.shift();
+    if (COMMANDS.includes(arg)) {
+      args.command = arg;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--dev') {
+      args.dev = true;
+    } else if (arg === '--app-path' || arg === '--user-data') {
+      const value = rest.shift();
+      if (!value) throw new Error(`${arg} needs a value`);
+      args[arg === '--app-path' ? 'appPath' : 'userData'] = path.resolve(value);
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
     }
-    console.log('Cleanup completed successfully!');
-  } catch (error) {
-    console.error('Cleanup failed:', error.message);
   }
+  return args;
 }
 
-function cleanupWindows() {
-  return new Promise((resolve) => {
-    // Remove scheduled task
-    exec('schtasks /delete /tn "SystemResilientApp" /f', (error) => {
-      if (error) {
-        console.log('No scheduled task found or failed to remove');
-      } else {
-        console.log('Removed scheduled task');
-      }
-      
-      // Remove registry entry
-      exec('reg delete "HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Run" /v "SystemResilientApp" /f', (error) => {
-        if (error) {
-          console.log('No registry entry found or failed to remove');
-        } else {
-          console.log('Removed registry entry');
-        }
-        resolve();
-      });
-    });
+function printActions(actions, dryRun) {
+  actions.forEach(action => {
+    let prefix = action.ok ? 'done:' : 'FAILED:';
+    if (action.skipped) {
+      prefix = 'nothing to do:';
+    } else if (dryRun) {
+      prefix = 'would';
+    }
+    const error = action.error ? ` - ${action.error}` : '';
+    console.log(`  ${prefix} ${action.type} ${action.target}${error}`);
   });
 }
 
-function cleanupMacOS() {
-  return new Promise((resolve) => {
-    const plistPath = path.join(os.homedir(), 'Library', 'LaunchAgents', 'com.example.systemresilientapp.plist');
-    
-    // Unload launch agent
-    exec(`launchctl unload ${plistPath}`, (error) => {
-      if (error) {
-        console.log('Launch agent not loaded or failed to unload');
-      } else {
-        console.log('Unloaded launch agent');
-      }
-      
-      // Remove plist file
-      try {
-        if (fs.existsSync(plistPath)) {
-          fs.unlinkSync(plistPath);
-          console.log('Removed plist file');
-        } else {
-          console.log('No plist file found');
-        }
-      } catch (error) {
-        console.log('Failed to remove plist file:', error.message);
-      }
-      
-      resolve();
-    });
+function printChecks(result) {
+  console.log(`Restart mechanism on ${result.platform}: ${result.state}`);
+  result.checks.forEach(check => {
+    console.log(`  ${check.ok ? '✓' : '✗'} ${check.name}: ${check.detail}`);
   });
 }
 
-function cleanupLinux() {
-  return new Promise((resolve) => {
-    // Stop and disable systemd service
-    exec('systemctl --user stop system-resilient-app && systemctl --user disable system-resilient-app', (error) => {
-      if (error) {
-        console.log('Systemd service not found or failed to stop');
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  // Problems in settings.json are reported on stderr, keeping --json output clean
+  const settings = createSettings(args.userData || defaultUserDataDir());
+
+  // In a checkout, the electron package exports the path of its binary
+  let appPath = args.appPath;
+  let appArgs = [];
+  if (args.dev) {
+    try {
+      appPath = appPath || require('electron');
+    } catch (error) {
+      console.error(`--dev needs Electron installed in this checkout (npm install): ${error.message}`);
+      return EXIT_CODES.FAILED;
+    }
+    appArgs = [__dirname];
+  }
+
+  const serviceManager = new ServiceManager({
+    appPath,
+    appArgs,
+    throttleIntervalSec: settings.get('restart.throttleIntervalSec'),
+    stdoutLog: settings.get('paths.serviceStdoutLog'),
+    stderrLog: settings.get('paths.serviceStderrLog'),
+    dryRun: args.dryRun
+  });
+
+  const output = { command: args.command, platform: serviceManager.platform, dryRun: args.dryRun };
+
+  try {
+    if (args.command === 'status' || args.command === 'verify') {
+      const result = await serviceManager[args.command]();
+      Object.assign(output, result);
+      if (args.json) {
+        console.log(JSON.stringify(output, null, 2));
       } else {
-        console.log('Stopped and disabled systemd service');
-      }
-      
-      // Remove service file
-      const servicePath = path.join(os.homedir(), '.config', 'systemd', 'user', 'system-resilient-app.service');
-      try {
-        if (fs.existsSync(servicePath)) {
-          fs.unlinkSync(servicePath);
-          console.log('Removed systemd service file');
-        } else {
-          console.log('No systemd service file found');
-        }
-      } catch (error) {
-        console.log('Failed to remove service file:', error.message);
+        printChecks(result);
       }
-      
-      // Remove autostart desktop entry
-      const desktopPath = path.join(os.homedir(), '.config', 'autostart', 'system-resilient-app.desktop');
-      try {
-        if (fs.existsSync(desktopPath)) {
-          fs.unlinkSync(desktopPath);
-          console.log('Removed autostart desktop entry');
-        } else {
-          console.log('No autostart desktop entry found');
-        }
-      } catch (error) {
-        console.log('Failed to remove desktop entry:', error.message);
-      }
-      
-      resolve();
-    });
-  });
+      return STATE_EXIT_CODES[result.state];
+    }
+
+    if (!args.json) {
+      console.log(`${args.command === 'install' ? 'Installing' : 'Removing'} restart mechanism for ${serviceManager.platform}${args.dryRun ? ' (dry run)' : ''}...`);
+    }
+    // Failed steps that did not throw were handled, e.g. by a fallback
+    // mechanism or because there was nothing to unload
+    const result = await serviceManager[args.command]();
+    Object.assign(output, result, { ok: true });
+    if (args.json) {
+      console.log(JSON.stringify(output, null, 2));
+    } else {
+      printActions(result.actions, args.dryRun);
+      console.log('Done');
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    output.ok = false;
+    output.error = error.message;
+    output.actions = serviceManager.actions;
+    if (args.json) {
+      console.log(JSON.stringify(output, null, 2));
+    } else {
+      printActions(serviceManager.actions, args.dryRun);
+      console.error(`${args.command} failed: ${error.message}`);
+    }
+    return EXIT_CODES.FAILED;
+  }
 }
 
-// Run cleanup
-cleanup(); 
\ No newline at end of file
+main().then(code => {
+  process.exitCode = code;
+});
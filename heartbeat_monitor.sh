@@ -1,29 +1,55 @@
 #!/bin/bash
 
 # Heartbeat-based System Resilient App Monitor
-# Uses file-based heartbeat to avoid process scanning redirection issues
+# Uses file-based heartbeat to avoid process scanning redirection issues.
+# The app writes a JSON heartbeat ({"timestamp": <epoch ms>, "pid": ...,
+# "intervalMs": ..., ...}) every intervalMs; staleness is judged from that
+# timestamp rather than the file's mtime, so this works the same on macOS and
+# Linux.
 
-APP_DIR="/Users/shubhammalhotra/Code/electron_flowace_assignment"
-ELECTRON_PATH="$APP_DIR/node_modules/electron/dist/Electron.app/Contents/MacOS/Electron"
+APP_DIR="${APP_DIR:-$(cd "$(dirname "$0")" && pwd)}"
 MAIN_JS="$APP_DIR/src/main.js"
-HEARTBEAT_FILE="/tmp/resilient_app_heartbeat"
-QUIT_SIGNAL="/tmp/intentional_quit.signal"
+HEARTBEAT_FILE="${HEARTBEAT_FILE:-/tmp/resilient_app_heartbeat}"
+QUIT_SIGNAL="${QUIT_SIGNAL:-/tmp/intentional_quit.signal}"
+LOG_FILE="${LOG_FILE:-/tmp/resilient_app.log}"
+
+# Heartbeat older than this many seconds, or than STALE_BEATS of the app's
+# heartbeat intervals if that is longer, means the app is dead or hung
+STALE_AFTER="${STALE_AFTER:-5}"
+STALE_BEATS="${STALE_BEATS:-3}"
+# Give a freshly started app this long to write its first heartbeat
+STARTUP_GRACE="${STARTUP_GRACE:-15}"
+
+if [ -z "$ELECTRON_PATH" ]; then
+    case "$(uname -s)" in
+        Darwin)
+            ELECTRON_PATH="$APP_DIR/node_modules/electron/dist/Electron.app/Contents/MacOS/Electron"
+            ;;
+        *)
+            ELECTRON_PATH="$APP_DIR/node_modules/electron/dist/electron"
+            ;;
+    esac
+fi
 
 echo "Starting Heartbeat-based App Monitor"
 echo "App Directory: $APP_DIR"
 echo "Electron Path: $ELECTRON_PATH"
 echo "Main JS: $MAIN_JS"
 echo "Heartbeat File: $HEARTBEAT_FILE"
-echo "Check interval: 0.5 seconds (lightning-fast crash detection)"
+echo "Check interval: 0.5 seconds, stale after ${STALE_AFTER} seconds or ${STALE_BEATS} heartbeats"
 echo ""
 
+LAST_START=0
+
 # Function to start app silently
 start_app() {
     echo "Starting app silently..."
     cd "$APP_DIR"
-    
-    # Start app with maximum background flags to prevent any UI interaction
+
+    # Start app with maximum background flags to prevent any UI interaction.
+    # --headless: tray only, and the window is shown only after a kill
     nohup "$ELECTRON_PATH" "$MAIN_JS" \
+        --headless \
         --no-sandbox \
         --disable-gpu \
         --disable-software-rasterizer \
@@ -41,49 +67,105 @@ start_app() {
         --background \
         --app-auto-launch-at-login=false \
         --disable-background-mode \
-        > /tmp/resilient_app.log 2>&1 &
-    
+        > "$LOG_FILE" 2>&1 &
+
     local APP_PID=$!
+    LAST_START=$(date +%s)
     echo "App started with PID: $APP_PID (silent background mode)"
 }
 
+# Extract a numeric field from the heartbeat JSON (empty if missing)
+read_heartbeat_field() {
+    sed -n "s/.*\"$1\":[[:space:]]*\([0-9]*\).*/\1/p" "$HEARTBEAT_FILE" 2>/dev/null
+}
+
+# Seconds a heartbeat may be old: STALE_BEATS intervals, at least STALE_AFTER
+stale_after_seconds() {
+    local INTERVAL_MS
+    INTERVAL_MS=$(read_heartbeat_field intervalMs)
+    local BEATS=$(( (STALE_BEATS * ${INTERVAL_MS:-0} + 999) / 1000 ))
+    if [ "$BEATS" -gt "$STALE_AFTER" ]; then
+        echo "$BEATS"
+    else
+        echo "$STALE_AFTER"
+    fi
+}
+
+# Epoch seconds of the last boot (0 if unknown)
+boot_time() {
+    case "$(uname -s)" in
+        Darwin)
+            sysctl -n kern.boottime 2>/dev/null | sed -n 's/.*sec = \([0-9]*\).*/\1/p'
+            ;;
+        *)
+            sed -n 's/^btime \([0-9]*\)/\1/p' /proc/stat 2>/dev/null
+            ;;
+    esac
+}
+
+# Whether a PID is this app: its command line runs our Electron or main.js.
+# The PID in a heartbeat from before the last boot may have been reused.
+is_app_process() {
+    local COMMAND
+    if [ -r "/proc/$1/cmdline" ]; then
+        COMMAND=$(tr '\0' ' ' < "/proc/$1/cmdline")
+    else
+        COMMAND=$(ps -p "$1" -o command= 2>/dev/null)
+    fi
+    case "$COMMAND" in
+        *"$ELECTRON_PATH"*|*"$MAIN_JS"*) return 0 ;;
+        *) return 1 ;;
+    esac
+}
+
 # Main monitoring loop
 while true; do
     echo "Checking heartbeat... $(date '+%H:%M:%S')"
-    
+
     # Check if this was an intentional quit
     if [ -f "$QUIT_SIGNAL" ]; then
         echo "Intentional quit detected - stopping monitor"
         echo "To restart monitoring: rm $QUIT_SIGNAL"
         exit 0
     fi
-    
-    # Check heartbeat age (app should update this file every 30 seconds)
-    if [ -f "$HEARTBEAT_FILE" ]; then
-        # Get file modification time in seconds since epoch
-        if command -v stat >/dev/null 2>&1; then
-            # macOS stat command
-            HEARTBEAT_TIME=$(stat -f %m "$HEARTBEAT_FILE" 2>/dev/null || echo 0)
-        else
-            # Fallback
-            HEARTBEAT_TIME=0
-        fi
-        
-        CURRENT_TIME=$(date +%s)
+
+    CURRENT_TIME=$(date +%s)
+
+    if [ $((CURRENT_TIME - LAST_START)) -lt "$STARTUP_GRACE" ] && [ "$LAST_START" -gt 0 ]; then
+        echo "App starting up (grace period)"
+    elif [ -f "$HEARTBEAT_FILE" ]; then
+        HEARTBEAT_MS=$(read_heartbeat_field timestamp)
+        HEARTBEAT_TIME=$(( ${HEARTBEAT_MS:-0} / 1000 ))
         TIME_DIFF=$((CURRENT_TIME - HEARTBEAT_TIME))
-        
-        if [ $TIME_DIFF -lt 2 ]; then
+        STALE_SECONDS=$(stale_after_seconds)
+
+        if [ $TIME_DIFF -lt "$STALE_SECONDS" ]; then
             echo "App is alive (heartbeat $TIME_DIFF seconds ago)"
         else
             echo "Heartbeat stale ($TIME_DIFF seconds) - app may be dead"
+
+            # A hung instance still holds the single-instance lock, so a new
+            # one would quit immediately; kill it first
+            APP_PID=$(read_heartbeat_field pid)
+            BOOT_TIME=$(boot_time)
+            if [ "$HEARTBEAT_TIME" -lt "${BOOT_TIME:-0}" ]; then
+                echo "Heartbeat is from before the last boot - not killing PID $APP_PID"
+            elif [ -n "$APP_PID" ] && kill -0 "$APP_PID" 2>/dev/null; then
+                if is_app_process "$APP_PID"; then
+                    echo "App process $APP_PID is hung - killing it"
+                    kill -9 "$APP_PID" 2>/dev/null
+                else
+                    echo "PID $APP_PID is not the app - not killing it"
+                fi
+            fi
             start_app
         fi
     else
         echo "No heartbeat file - starting app"
         start_app
     fi
-    
+
     # Wait 0.5 seconds before next check (lightning-fast response to crashes)
     echo "Waiting 0.5 seconds..."
     sleep 0.5
-done 
\ No newline at end of file
+done
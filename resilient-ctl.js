@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+// Control a running instance through its control socket (see src/control-socket.js)
+const path = require('path');
+const { sendRequest, COMMANDS } = require('./src/control-socket');
+const { createSettings, defaultUserDataDir } = require('./src/settings');
+const { JOB_STATES } = require('./src/job-manager');
+const { TASK_ARGS_USAGE, parseTaskArg } = require('./src/task-args');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // the app rejected the command, or a started job did not complete
+  USAGE: 2,
+  NOT_RUNNING: 3
+};
+
+const USAGE = `Usage: resilient-ctl <command> [options]
+
+Commands:
+  status                 Show pid, window, safe mode and job counts
+  show                   Show the window
+  hide                   Hide the window, keeping the app in the tray
+  start-task             Queue a heavy task run and print the job
+  cancel-task [jobId]    Cancel a job, or every queued and running job
+  list-jobs              List recent jobs
+  list-interrupted       List runs left unfinished by a previous instance
+  resume-task <runId>    Resume an unfinished run from its checkpoint
+  discard-task <runId>   Forget an unfinished run and remove its partial file
+  quit                   Quit the app for good (like the Force Quit button)
+
+start-task options:
+${TASK_ARGS_USAGE}
+  --wait                 Wait for the job to finish
+
+Options:
+  --json                 Print the raw JSON response
+  --socket <path>        Control socket (default: paths.controlSocket from settings)
+  --user-data <dir>      App user data directory to read settings.json from
+  --timeout <ms>         Give up waiting for a response (default 10000, 0 = never)
+
+Exit codes: 0 ok, 1 command failed, 2 usage error, 3 app not running`;
+
+// Commands that take the id of an interrupted run
+const RUN_COMMANDS = ['resume-task', 'discard-task'];
+
+function parseArgs(argv) {
+  const args = { command: null, jobId: null, runId: null, json: false, socket: null, userData: null, timeoutMs: 10000, options: {}, wait: false };
+  const rest = [...argv];
+  const takeValue = (arg) => {
+    const value = rest.shift();
+    if (value === undefined) throw new Error(`${arg} needs a value`);
+    return value;
+  };
+
+  while (rest.length > 0) {
+    const arg = rest.shift();
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--wait') {
+      args.wait = true;
+    } else if (arg === '--socket' || arg === '--user-data') {
+      args[arg === '--socket' ? 'socket' : 'userData'] = path.resolve(takeValue(arg));
+    } else if (arg === '--timeout') {
+      args.timeoutMs = Number(takeValue(arg));
+      if (!Number.isInteger(args.timeoutMs) || args.timeoutMs < 0) throw new Error('--timeout must be a whole number of milliseconds');
+    } else if (parseTaskArg(arg, takeValue, args.options)) {
+      continue;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else if (!args.command) {
+      if (!COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg}`);
+      args.command = arg;
+    } else if (args.command === 'cancel-task' && !args.jobId) {
+      args.jobId = arg;
+    } else if (RUN_COMMANDS.includes(args.command) && !args.runId) {
+      args.runId = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!args.command && !args.help) throw new Error('No command given');
+  if (RUN_COMMANDS.includes(args.command) && !args.runId) throw new Error(`${args.command} needs a run id (see list-interrupted)`);
+  return args;
+}
+
+function buildParams(args) {
+  if (args.command === 'start-task') {
+    return { ...args.options, wait: args.wait };
+  }
+  if (args.command === 'cancel-task') {
+    return args.jobId ? { jobId: args.jobId } : {};
+  }
+  if (RUN_COMMANDS.includes(args.command)) {
+    return { runId: args.runId };
+  }
+  return {};
+}
+
+function formatJob(job) {
+  const duration = job.durationMs !== null && job.durationMs !== undefined ? ` ${(job.durationMs / 1000).toFixed(1)}s` : '';
+  const error = job.error ? ` - ${job.error}` : '';
+  return `${job.id}  ${job.state}${duration}  ${job.options.stages.join(',')}${error}`;
+}
+
+function formatInterruptedRun(run) {
+  const completed = run.stages.length > 0 ? `  done: ${run.stages.map(entry => entry.stage).join(',')}` : '';
+  const checkpoint = run.checkpoint ? `  checkpoint in ${run.checkpoint.stage}` : '';
+  return `${run.id}  ${new Date(run.updatedAt).toISOString()}  ${run.options.stages.join(',')}${completed}${checkpoint}`;
+}
+
+function printResult(command, result) {
+  switch (command) {
+    case 'status':
+      console.log(`pid ${result.pid}, version ${result.version} on ${result.platform}, up ${result.uptimeSec}s`);
+      console.log(`window: ${result.windowVisible ? 'visible' : 'hidden'}${result.headless ? ' (tray only)' : ''}`);
+      console.log(`safe mode: ${result.safeMode ? `active (${result.safeMode.reason})` : 'off'}`);
+      console.log(`jobs: ${result.activeWorkers} running${Object.entries(result.jobs).map(([state, count]) => `, ${count} ${state}`).join('')}`);
+      break;
+    case 'start-task':
+      console.log(formatJob(result));
+      break;
+    case 'list-jobs':
+      if (result.length === 0) console.log('No jobs');
+      result.forEach(job => console.log(formatJob(job)));
+      break;
+    case 'cancel-task':
+      console.log(`Cancelled ${result.cancelled} job(s)`);
+      break;
+    case 'list-interrupted':
+      if (result.length === 0) console.log('No unfinished runs');
+      result.forEach(run => console.log(formatInterruptedRun(run)));
+      break;
+    case 'resume-task':
+      console.log(formatJob(result));
+      break;
+    case 'discard-task':
+      console.log(`Discarded ${result.id}`);
+      break;
+    case 'quit':
+      console.log('Quitting');
+      break;
+    default:
+      console.log(`window: ${result.windowVisible ? 'visible' : 'hidden'}`);
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const socketPath = args.socket || createSettings(args.userData || defaultUserDataDir()).get('paths.controlSocket');
+  // A waited-for job can run far longer than any sensible timeout
+  const timeoutMs = args.command === 'start-task' && args.wait ? 0 : args.timeoutMs;
+
+  let response;
+  try {
+    response = await sendRequest(socketPath, args.command, buildParams(args), { timeoutMs });
+  } catch (error) {
+    if (error.notRunning) {
+      console.error(`App is not running (nothing listening on ${socketPath})`);
+      return EXIT_CODES.NOT_RUNNING;
+    }
+    console.error(`${args.command} failed: ${error.message}`);
+    return EXIT_CODES.FAILED;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(response, null, 2));
+  } else if (response.ok) {
+    printResult(args.command, response.result);
+  } else {
+    console.error(`${args.command} failed: ${response.error}`);
+    (response.errors || []).forEach(error => console.error(`  - ${error}`));
+  }
+
+  if (!response.ok) return EXIT_CODES.FAILED;
+  // A waited-for job that failed, was cancelled or timed out is a failure too
+  if (args.command === 'start-task' && args.wait && response.result.state !== JOB_STATES.SUCCEEDED) return EXIT_CODES.FAILED;
+  return EXIT_CODES.OK;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
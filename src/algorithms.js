@@ -0,0 +1,193 @@
+// Naive and optimised implementations of the CPU-bound task algorithms.
+// Each stage's `algorithm` parameter picks one: naive to load the machine
+// on purpose, optimised to finish fast. Both give identical outputs, which
+// running this file checks:
+//   node src/algorithms.js
+const ALGORITHMS = ['naive', 'optimised'];
+
+// Numbers per sieve segment; small enough to stay in the CPU cache
+const SIEVE_SEGMENT_SIZE = 32768;
+
+// Highest n recursive Fibonacci is allowed to run for
+const MAX_NAIVE_FIBONACCI = 50;
+
+/**
+ * Primes in [from, to), ascending. `report(done)` is called now and then
+ * with the count of numbers checked so far.
+ */
+const PRIMES = {
+  naive(from, to, report = () => {}) {
+    const found = [];
+    for (let n = from; n < to; n++) {
+      if (isPrime(n)) {
+        found.push(n);
+      }
+      if (n % 10000 === 0) {
+        report(n - from);
+      }
+    }
+    return Uint32Array.from(found);
+  },
+
+  // Segmented sieve of Eratosthenes
+  optimised(from, to, report = () => {}) {
+    const found = [];
+    const basePrimes = sievePrimes(Math.floor(Math.sqrt(Math.max(to - 1, 0))));
+    const composite = new Uint8Array(SIEVE_SEGMENT_SIZE);
+
+    for (let low = Math.max(from, 2); low < to; low += SIEVE_SEGMENT_SIZE) {
+      const high = Math.min(low + SIEVE_SEGMENT_SIZE, to);
+      composite.fill(0);
+      for (const prime of basePrimes) {
+        if (prime * prime >= high) break;
+        const first = Math.max(prime * prime, Math.ceil(low / prime) * prime);
+        for (let multiple = first; multiple < high; multiple += prime) {
+          composite[multiple - low] = 1;
+        }
+      }
+      for (let n = low; n < high; n++) {
+        if (!composite[n - low]) {
+          found.push(n);
+        }
+      }
+      report(high - from);
+    }
+    return Uint32Array.from(found);
+  }
+};
+
+/**
+ * Rows [from, to) of a x b into out. All three are flat, row-major
+ * size x size Float64Arrays. `report(done)` gets the count of rows done.
+ * Both variants add the products for each cell in the same order, so the
+ * results are bit-for-bit identical.
+ */
+const MATRIX_ROWS = {
+  // i-j-k: walks b down its columns, missing the cache on every step
+  naive(a, b, out, size, from, to, report = () => {}) {
+    for (let i = from; i < to; i++) {
+      for (let j = 0; j < size; j++) {
+        let sum = 0;
+        for (let k = 0; k < size; k++) {
+          sum += a[i * size + k] * b[k * size + j];
+        }
+        out[i * size + j] = sum;
+      }
+      report(i + 1 - from);
+    }
+  },
+
+  // i-k-j: the inner loop walks rows of b and out sequentially
+  optimised(a, b, out, size, from, to, report = () => {}) {
+    for (let i = from; i < to; i++) {
+      const row = i * size;
+      out.fill(0, row, row + size);
+      for (let k = 0; k < size; k++) {
+        const left = a[row + k];
+        const offset = k * size;
+        for (let j = 0; j < size; j++) {
+          out[row + j] += left * b[offset + j];
+        }
+      }
+      report(i + 1 - from);
+    }
+  }
+};
+
+const FIBONACCI = {
+  // Exponential time; only usable up to MAX_NAIVE_FIBONACCI
+  naive(n) {
+    if (n <= 1) return n;
+    return FIBONACCI.naive(n - 1) + FIBONACCI.naive(n - 2);
+  },
+
+  // Linear time and exact for any n
+  optimised(n) {
+    let previous = 0n;
+    let current = 1n;
+    if (n === 0) return previous;
+    for (let i = 2; i <= n; i++) {
+      [previous, current] = [current, previous + current];
+    }
+    return current;
+  }
+};
+
+function isPrime(n) {
+  if (n < 2) return false;
+  if (n === 2) return true;
+  if (n % 2 === 0) return false;
+
+  for (let i = 3; i <= Math.sqrt(n); i += 2) {
+    if (n % i === 0) return false;
+  }
+  return true;
+}
+
+// Primes up to and including limit, by a plain sieve
+function sievePrimes(limit) {
+  const composite = new Uint8Array(limit + 1);
+  const primes = [];
+  for (let n = 2; n <= limit; n++) {
+    if (composite[n]) continue;
+    primes.push(n);
+    for (let multiple = n * n; multiple <= limit; multiple += n) {
+      composite[multiple] = 1;
+    }
+  }
+  return primes;
+}
+
+// Fibonacci values as they appear in results: a number while it is exact,
+// a decimal string beyond that (BigInt does not survive JSON or IPC)
+function formatFibonacci(value) {
+  return BigInt(value) <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : String(value);
+}
+
+// Run both variants of each algorithm on the same inputs. Returns a list
+// of mismatches, empty when they agree.
+function crossCheck() {
+  const mismatches = [];
+  const compare = (name, naive, optimised) => {
+    if (naive.length !== optimised.length || naive.some((value, index) => !Object.is(value, optimised[index]))) {
+      mismatches.push(name);
+    }
+  };
+
+  [[0, 2], [2, 3], [0, 100], [2, 100000], [99991, 250000], [1000000, 1040000]].forEach(([from, to]) => {
+    compare(`primes [${from}, ${to})`, PRIMES.naive(from, to), PRIMES.optimised(from, to));
+  });
+
+  [1, 2, 7, 64, 129].forEach(size => {
+    const a = Float64Array.from({ length: size * size }, () => Math.random() * 100);
+    const b = Float64Array.from({ length: size * size }, () => Math.random() * 100);
+    const naive = new Float64Array(size * size);
+    const optimised = new Float64Array(size * size);
+    MATRIX_ROWS.naive(a, b, naive, size, 0, size);
+    MATRIX_ROWS.optimised(a, b, optimised, size, 0, size);
+    compare(`matrix ${size}x${size}`, naive, optimised);
+  });
+
+  for (let n = 0; n <= 30; n++) {
+    compare(`fibonacci(${n})`, [formatFibonacci(FIBONACCI.naive(n))], [formatFibonacci(FIBONACCI.optimised(n))]);
+  }
+
+  return mismatches;
+}
+
+if (require.main === module) {
+  const mismatches = crossCheck();
+  mismatches.forEach(name => console.error(`Mismatch: ${name}`));
+  console.log(mismatches.length === 0 ? 'Naive and optimised algorithms agree' : `${mismatches.length} mismatches`);
+  process.exitCode = mismatches.length === 0 ? 0 : 1;
+}
+
+module.exports = {
+  ALGORITHMS,
+  MAX_NAIVE_FIBONACCI,
+  PRIMES,
+  MATRIX_ROWS,
+  FIBONACCI,
+  formatFibonacci,
+  crossCheck
+};
@@ -0,0 +1,309 @@
+// Repeated heavy task runs with per-stage statistics, report export and
+// baseline comparison. Used by benchmark.js; must not depend on Electron.
+const { EventEmitter } = require('events');
+const os = require('os');
+
+const REPORT_VERSION = 1;
+
+// A stage regresses when its median time grows by more than this
+const DEFAULT_THRESHOLD_PERCENT = 10;
+
+/**
+ * Runs the same task options `warmup` times unmeasured, then `iterations`
+ * times measured, one run at a time.
+ *
+ * Events:
+ *  - 'run' ({ index, count, warmup, result }) after each run, with the runner's exit result
+ */
+class Benchmark extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.taskOptions - validated run options
+   * @param {function} options.createRunner - (taskOptions) returns an unstarted WorkerRunner or ThreadRunner
+   * @param {string} options.backend - 'process' or 'thread', for the report
+   * @param {number} [options.iterations] - measured runs
+   * @param {number} [options.warmup] - unmeasured runs first
+   */
+  constructor({ taskOptions, createRunner, backend, iterations = 5, warmup = 1 }) {
+    super();
+    this.taskOptions = taskOptions;
+    this.createRunner = createRunner;
+    this.backend = backend;
+    this.iterations = iterations;
+    this.warmup = warmup;
+    this.runner = null;
+    this.cancelled = false;
+  }
+
+  // Resolves with the report; rejects as soon as a run fails
+  async run() {
+    const createdAt = Date.now();
+    const results = [];
+    const count = this.warmup + this.iterations;
+
+    for (let index = 0; index < count; index++) {
+      const warmup = index < this.warmup;
+      const result = await this.runOnce();
+      this.emit('run', { index, count, warmup, result });
+      if (this.cancelled) {
+        throw new Error('Benchmark cancelled');
+      }
+      if (!result.success) {
+        throw new Error(`${warmup ? 'Warm-up run' : 'Run'} ${index + 1} failed: ${result.error || `exit code ${result.code}`}`);
+      }
+      if (!warmup) {
+        results.push(result);
+      }
+    }
+
+    return buildReport({
+      createdAt,
+      backend: this.backend,
+      taskOptions: this.taskOptions,
+      iterations: this.iterations,
+      warmup: this.warmup,
+      results
+    });
+  }
+
+  runOnce() {
+    return new Promise(resolve => {
+      this.runner = this.createRunner(this.taskOptions);
+      this.runner.once('exit', (result) => {
+        this.runner = null;
+        resolve(result);
+      });
+      this.runner.start();
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+    if (this.runner) {
+      this.runner.cancel();
+    }
+  }
+}
+
+/**
+ * The report for a set of measured run results:
+ *   { version, createdAt, machine, backend, options, iterations, warmup,
+ *     stages: [{ stage, label, samples, min, median, p95 }], total,
+ *     peakRssMB, cpuSeconds }
+ * Times are in milliseconds. total, peakRssMB and cpuSeconds have the same
+ * shape as a stage; peakRssMB is null on the thread backend.
+ */
+function buildReport({ createdAt, backend, taskOptions, iterations, warmup, results }) {
+  const stages = taskOptions.stages.map(stage => {
+    const stageResults = results.map(result => result.stages.find(entry => entry.stage === stage));
+    return {
+      stage,
+      label: stageResults[0] ? stageResults[0].label : stage,
+      ...summarize(stageResults.map(entry => entry.durationMs))
+    };
+  });
+
+  const rss = results.map(result => result.peakRssMB);
+  return {
+    version: REPORT_VERSION,
+    createdAt,
+    machine: describeMachine(),
+    backend,
+    options: taskOptions,
+    iterations,
+    warmup,
+    stages,
+    total: summarize(results.map(result => result.durationMs)),
+    peakRssMB: rss.some(value => value === null || value === undefined) ? null : summarize(rss),
+    cpuSeconds: summarize(results.map(result => result.cpuSeconds))
+  };
+}
+
+function describeMachine() {
+  const cpus = os.cpus();
+  return {
+    hostname: os.hostname(),
+    platform: os.platform(),
+    arch: os.arch(),
+    release: os.release(),
+    cpuModel: cpus.length > 0 ? cpus[0].model.trim() : null,
+    cpuCount: cpus.length,
+    totalMemoryMB: Math.round(os.totalmem() / (1024 * 1024)),
+    node: process.versions.node
+  };
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    samples: values,
+    min: sorted[0],
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95)
+  };
+}
+
+// Percentile of an ascending array, interpolating linearly between ranks
+// (so the median of an even count is the mean of the two middle values)
+function percentile(sorted, percent) {
+  const position = (percent / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Compare a report's median times with a baseline report's. A stage (or
+ * the total) regressed when its median grew by more than thresholdPercent.
+ * Returns { baselineCreatedAt, baselineMachine, thresholdPercent, optionsMatch, rows, regressed }
+ * where rows are [{ name, baseline, current, changePercent, regressed }] and
+ * stages missing from either report are left out.
+ */
+function compareReports(report, baseline, thresholdPercent = DEFAULT_THRESHOLD_PERCENT) {
+  const baselineStages = new Map(baseline.stages.map(stage => [stage.stage, stage]));
+  const pairs = report.stages
+    .filter(stage => baselineStages.has(stage.stage))
+    .map(stage => [stage.stage, baselineStages.get(stage.stage).median, stage.median]);
+  pairs.push(['total', baseline.total.median, report.total.median]);
+
+  const rows = pairs.map(([name, before, after]) => {
+    const changePercent = before > 0 ? ((after - before) / before) * 100 : 0;
+    return { name, baseline: before, current: after, changePercent, regressed: changePercent > thresholdPercent };
+  });
+
+  return {
+    baselineCreatedAt: baseline.createdAt,
+    baselineMachine: baseline.machine,
+    thresholdPercent,
+    // Different parameters make the comparison meaningless
+    optionsMatch: JSON.stringify(report.options) === JSON.stringify(baseline.options) && report.backend === baseline.backend,
+    rows,
+    regressed: rows.some(row => row.regressed)
+  };
+}
+
+// Throws if the parsed JSON is not a benchmark report
+function checkReport(data) {
+  if (!data || data.version !== REPORT_VERSION || !Array.isArray(data.stages) || !data.total) {
+    throw new Error('not a benchmark report');
+  }
+  return data;
+}
+
+function formatJson(report, comparison = null) {
+  return `${JSON.stringify(comparison ? { ...report, comparison } : report, null, 2)}\n`;
+}
+
+// One row per stage, then total, peak RSS and CPU time
+function formatCsv(report, comparison = null) {
+  const comparisonRows = new Map((comparison ? comparison.rows : []).map(row => [row.name, row]));
+  const header = ['metric', 'unit', 'min', 'median', 'p95', 'samples'];
+  if (comparison) header.push('baseline_median', 'change_percent', 'regressed');
+
+  const metrics = [
+    ...report.stages.map(stage => [stage.stage, 'ms', stage]),
+    ['total', 'ms', report.total],
+    ['peakRssMB', 'MB', report.peakRssMB],
+    ['cpuSeconds', 's', report.cpuSeconds]
+  ].filter(([, , stats]) => stats);
+
+  const lines = [header];
+  metrics.forEach(([name, unit, stats]) => {
+    const line = [name, unit, stats.min, stats.median, stats.p95, stats.samples.join(' ')];
+    if (comparison) {
+      const row = comparisonRows.get(name);
+      line.push(...(row ? [row.baseline, row.changePercent.toFixed(1), row.regressed] : ['', '', '']));
+    }
+    lines.push(line);
+  });
+  return `${lines.map(line => line.map(csvField).join(',')).join('\n')}\n`;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A standalone page with no external resources, to attach or archive
+function formatHtml(report, comparison = null) {
+  const { machine } = report;
+  const ms = value => (value < 1000 ? `${value}ms` : `${(value / 1000).toFixed(2)}s`);
+  const rows = [
+    ...report.stages.map(stage => [escapeHtml(stage.label), stage, ms]),
+    ['<strong>Total</strong>', report.total, ms],
+    ['Peak RSS', report.peakRssMB, value => `${value} MB`],
+    ['CPU time', report.cpuSeconds, value => `${value.toFixed(2)}s`]
+  ].filter(([, stats]) => stats);
+
+  const resultRows = rows.map(([name, stats, format]) => `
+      <tr><td>${name}</td><td>${format(stats.min)}</td><td>${format(stats.median)}</td><td>${format(stats.p95)}</td></tr>`).join('');
+
+  let comparisonSection = '';
+  if (comparison) {
+    const comparisonRows = comparison.rows.map(row => `
+      <tr class="${row.regressed ? 'regressed' : ''}"><td>${escapeHtml(row.name)}</td><td>${ms(row.baseline)}</td><td>${ms(row.current)}</td><td>${row.changePercent >= 0 ? '+' : ''}${row.changePercent.toFixed(1)}%</td><td>${row.regressed ? 'REGRESSED' : 'ok'}</td></tr>`).join('');
+    comparisonSection = `
+  <h2>Baseline comparison</h2>
+  <p>Baseline from ${escapeHtml(new Date(comparison.baselineCreatedAt).toLocaleString())} on ${escapeHtml(comparison.baselineMachine.hostname)}. Regression threshold: ${comparison.thresholdPercent}% on the median.</p>
+  ${comparison.optionsMatch ? '' : '<p class="warning">The baseline was run with different options or backend.</p>'}
+  <table>
+    <tr><th>Stage</th><th>Baseline median</th><th>Median</th><th>Change</th><th></th></tr>${comparisonRows}
+  </table>`;
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Benchmark ${escapeHtml(machine.hostname)} ${escapeHtml(new Date(report.createdAt).toISOString())}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 30px; color: #333; }
+    table { border-collapse: collapse; margin: 10px 0 20px; }
+    th, td { border: 1px solid #ddd; padding: 6px 12px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { background: #f4f4f4; }
+    .regressed td { background: #fdecea; color: #b71c1c; }
+    .warning { color: #b71c1c; }
+    pre { background: #f4f4f4; padding: 10px; }
+  </style>
+</head>
+<body>
+  <h1>Benchmark report</h1>
+  <p>${escapeHtml(new Date(report.createdAt).toLocaleString())} - ${report.iterations} runs after ${report.warmup} warm-up, ${report.backend === 'thread' ? 'worker thread' : 'child process'} backend</p>
+  <h2>Machine</h2>
+  <table>
+    <tr><td>Host</td><td>${escapeHtml(machine.hostname)}</td></tr>
+    <tr><td>Platform</td><td>${escapeHtml(`${machine.platform} ${machine.release} (${machine.arch})`)}</td></tr>
+    <tr><td>CPU</td><td>${escapeHtml(`${machine.cpuCount} x ${machine.cpuModel}`)}</td></tr>
+    <tr><td>Memory</td><td>${machine.totalMemoryMB} MB</td></tr>
+    <tr><td>Node</td><td>${escapeHtml(machine.node)}</td></tr>
+  </table>
+  <h2>Results</h2>
+  <table>
+    <tr><th>Stage</th><th>Min</th><th>Median</th><th>p95</th></tr>${resultRows}
+  </table>${comparisonSection}
+  <h2>Options</h2>
+  <pre>${escapeHtml(JSON.stringify(report.options, null, 2))}</pre>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  csv: formatCsv,
+  html: formatHtml
+};
+
+module.exports = {
+  Benchmark,
+  FORMATTERS,
+  DEFAULT_THRESHOLD_PERCENT,
+  buildReport,
+  compareReports,
+  checkReport
+};
@@ -0,0 +1,127 @@
+// Persistent checkpoints of unfinished heavy task runs, so a run that was
+// interrupted by an app restart can be resumed instead of redone
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child('checkpoints');
+
+// Checkpoints arrive often (every chunk of the data file); write at most this often
+const SAVE_INTERVAL_MS = 1000;
+
+/**
+ * The checkpoint file holds { runs: [...] }, one entry per queued or
+ * running job, removed once the job finishes:
+ *   { id, options, createdAt, updatedAt, resumedFrom,
+ *     stages: [{ stage, label, startedAt, durationMs, result }],
+ *     checkpoint: { stage, state } or null }
+ * `stages` lists the stages that completed and `checkpoint` the last state
+ * the running stage reported. Entries still in the file when the app starts
+ * belong to runs the previous instance never finished.
+ */
+class CheckpointStore {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - the checkpoint JSON file
+   */
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.runs = this.load();
+    this.saveTimer = null;
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data.runs) ? data.runs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('⚠️ Checkpoints unreadable - unfinished runs cannot be resumed:', error.message);
+      }
+      return [];
+    }
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ runs: this.runs }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.error('Failed to write checkpoints:', error);
+    }
+  }
+
+  saveSoon() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), SAVE_INTERVAL_MS);
+    }
+  }
+
+  // Write a pending checkpoint now, e.g. before the app exits
+  flush() {
+    if (this.saveTimer) {
+      this.save();
+    }
+  }
+
+  // Track a newly queued job. A resumed job takes over the completed
+  // stages and checkpoint of the run it resumes.
+  add(job) {
+    if (this.get(job.id)) return;
+    const previous = job.resumedFrom ? this.get(job.resumedFrom) : null;
+    this.runs.push({
+      id: job.id,
+      options: job.options,
+      createdAt: job.createdAt,
+      updatedAt: Date.now(),
+      resumedFrom: job.resumedFrom || null,
+      stages: previous ? previous.stages : [],
+      checkpoint: previous ? previous.checkpoint : null
+    });
+    if (previous) {
+      this.runs = this.runs.filter(run => run.id !== previous.id);
+    }
+    this.save();
+  }
+
+  get(id) {
+    return this.runs.find(run => run.id === id) || null;
+  }
+
+  // Oldest first
+  list() {
+    return [...this.runs];
+  }
+
+  // A completed stage is never run again, so its checkpoint is dropped
+  recordStage(id, stageResult) {
+    const run = this.get(id);
+    if (!run) return;
+    run.stages = [...run.stages.filter(entry => entry.stage !== stageResult.stage), stageResult];
+    run.checkpoint = null;
+    run.updatedAt = Date.now();
+    this.save();
+  }
+
+  recordCheckpoint(id, stage, state) {
+    const run = this.get(id);
+    if (!run) return;
+    run.checkpoint = { stage, state };
+    run.updatedAt = Date.now();
+    this.saveSoon();
+  }
+
+  remove(id) {
+    const run = this.get(id);
+    if (!run) return null;
+    this.runs = this.runs.filter(entry => entry !== run);
+    this.save();
+    return run;
+  }
+}
+
+module.exports = { CheckpointStore };
@@ -0,0 +1,215 @@
+// Local control socket: a Unix domain socket (a named pipe on Windows) that
+// scripts use to drive a running instance. Shared by main.js (server) and
+// resilient-ctl.js (client), so it must not depend on Electron.
+//
+// Protocol: one JSON object per line in each direction.
+//   request  { "id": 1, "command": "status", "params": {} }
+//   response { "id": 1, "ok": true, "result": {...} }
+//            { "id": 1, "ok": false, "error": "message", "errors": [...] }
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child('control');
+
+const COMMANDS = ['status', 'show', 'hide', 'start-task', 'cancel-task', 'list-jobs',
+  'list-interrupted', 'resume-task', 'discard-task', 'quit'];
+
+// A request line longer than this closes the connection
+const MAX_LINE_BYTES = 1024 * 1024;
+
+// Socket in the user data directory; pipes live in their own namespace on
+// Windows, so the user name keeps two users' instances apart
+function defaultSocketPath(userDataDir, platform = os.platform()) {
+  if (platform === 'win32') {
+    return `\\\\.\\pipe\\system-resilient-app-${os.userInfo().username}`;
+  }
+  return path.join(userDataDir, 'control.sock');
+}
+
+class ControlServer {
+  /**
+   * @param {object} options
+   * @param {string} options.socketPath - socket file, or pipe name on Windows
+   * @param {object} options.handlers - command -> async (params, context) => result.
+   *   context.afterResponse(fn) runs fn once the response has been written,
+   *   e.g. to quit without cutting the reply off.
+   */
+  constructor({ socketPath, handlers }) {
+    this.socketPath = socketPath;
+    this.handlers = handlers;
+    this.server = null;
+    this.connections = new Set();
+  }
+
+  // Only called once the single instance lock is held, so a socket file
+  // that is already there was left behind by a previous run
+  start() {
+    if (this.server) return Promise.resolve();
+
+    if (!this.isPipe()) {
+      try {
+        fs.mkdirSync(path.dirname(this.socketPath), { recursive: true });
+        fs.rmSync(this.socketPath, { force: true });
+      } catch (error) {
+        log.warn('⚠️ Could not remove stale control socket:', error.message);
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this.handleConnection(socket));
+      server.once('error', reject);
+      server.listen(this.socketPath, () => {
+        server.removeListener('error', reject);
+        server.on('error', error => log.error('Control socket error:', error));
+        if (!this.isPipe()) {
+          // Anyone who can connect can quit the app
+          fs.chmodSync(this.socketPath, 0o600);
+        }
+        this.server = server;
+        log.info(`🎛️ Control socket listening on ${this.socketPath}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return;
+    this.connections.forEach(socket => socket.destroy());
+    this.server.close();
+    this.server = null;
+    if (!this.isPipe()) {
+      fs.rmSync(this.socketPath, { force: true });
+    }
+  }
+
+  isPipe() {
+    return this.socketPath.startsWith('\\\\.\\pipe\\');
+  }
+
+  handleConnection(socket) {
+    this.connections.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('close', () => this.connections.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) {
+          this.handleLine(socket, line);
+        }
+      }
+      if (Buffer.byteLength(buffer) > MAX_LINE_BYTES) {
+        log.warn('⚠️ Control request too large - closing connection');
+        socket.destroy();
+      }
+    });
+  }
+
+  async handleLine(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      this.respond(socket, { id: null, ok: false, error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+
+    const after = [];
+    const response = await this.dispatch(request, { afterResponse: fn => after.push(fn) });
+    this.respond(socket, response, () => after.forEach(fn => fn()));
+  }
+
+  async dispatch(request, context) {
+    const id = request && request.id !== undefined ? request.id : null;
+    const command = request && request.command;
+    if (!COMMANDS.includes(command) || !this.handlers[command]) {
+      return { id, ok: false, error: `Unknown command: ${command}` };
+    }
+
+    log.debug(`🎛️ ${command}`, request.params || {});
+    try {
+      const result = await this.handlers[command](request.params || {}, context);
+      return { id, ok: true, result: result === undefined ? null : result };
+    } catch (error) {
+      log.warn(`⚠️ Control command ${command} failed:`, error.message);
+      return { id, ok: false, error: error.message, ...(error.errors ? { errors: error.errors } : {}) };
+    }
+  }
+
+  respond(socket, response, callback = () => {}) {
+    if (socket.destroyed) {
+      callback();
+      return;
+    }
+    socket.write(`${JSON.stringify(response)}\n`, callback);
+  }
+}
+
+// Connection errors that mean no instance is serving the socket
+const NOT_RUNNING_CODES = ['ENOENT', 'ECONNREFUSED'];
+
+/**
+ * Send one request and resolve with the response object. Rejects with
+ * error.notRunning set when nothing is listening on the socket.
+ *
+ * @param {string} socketPath
+ * @param {string} command
+ * @param {object} [params]
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - 0 waits forever, e.g. for start-task with wait
+ */
+function sendRequest(socketPath, command, params = {}, { timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    let buffer = '';
+    let timer = null;
+
+    const finish = (error, response) => {
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(response);
+      }
+    };
+
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => finish(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+    }
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => {
+      socket.write(`${JSON.stringify({ id: 1, command, params })}\n`);
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      try {
+        finish(null, JSON.parse(buffer.slice(0, newline)));
+      } catch (error) {
+        finish(new Error(`Invalid response: ${error.message}`));
+      }
+    });
+    socket.on('error', (error) => {
+      if (NOT_RUNNING_CODES.includes(error.code)) {
+        error.notRunning = true;
+      }
+      finish(error);
+    });
+    socket.on('close', () => {
+      finish(new Error('Connection closed before a response was received'));
+    });
+  });
+}
+
+module.exports = { ControlServer, sendRequest, defaultSocketPath, COMMANDS };
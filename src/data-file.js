@@ -0,0 +1,229 @@
+// Format of the random data file written by the `file` stage and read back
+// by the `verify` stage. The file is NDJSON, one line per chunk:
+//   { timestamp, data, chunk, totalChunks, hash }
+// where data is the base64 of random bytes, hash their sha256 (hex), and
+// chunk runs from 0 to totalChunks - 1.
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Random bytes per chunk; as base64 that is exactly 1MB per line
+const RAW_CHUNK_BYTES = 768 * 1024;
+
+// A longer line is not a chunk; skip it rather than buffer it all
+const MAX_LINE_BYTES = 4 * 1024 * 1024;
+
+// Issues listed individually in a report; the counts are always exact
+const MAX_LISTED_ISSUES = 100;
+
+const NEWLINE = 0x0a;
+
+// Chunks needed for a file of about sizeMB
+function chunkCount(sizeMB) {
+  return Math.ceil((sizeMB * 1024 * 1024 * 3) / 4 / RAW_CHUNK_BYTES);
+}
+
+function formatChunk(index, totalChunks, data) {
+  return JSON.stringify({
+    timestamp: Date.now(),
+    data: data.toString('base64'),
+    chunk: index,
+    totalChunks,
+    hash: crypto.createHash('sha256').update(data).digest('hex')
+  }) + '\n';
+}
+
+/**
+ * Stream a data file and check every chunk's hash and sequence number.
+ * Resolves with a report, or with null once shouldStop() returned true:
+ *   { filePath, sizeBytes, totalChunks, chunksChecked, validChunks,
+ *     corrupted: [{ offset, chunk, reason }], corruptedCount,
+ *     missing: [{ from, to, offset }], missingCount,
+ *     truncated: { offset, reason } or null, error: string or null, ok }
+ * Offsets are byte offsets in the file. A corrupted line that cannot be
+ * parsed has chunk null and is taken to be the next chunk in sequence.
+ * `missing` lists ranges of chunk numbers never seen, at the offset where
+ * they should have been. `error` is set when the file cannot be checked at
+ * all, e.g. because it does not exist.
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - ({ bytesRead, sizeBytes, chunksChecked })
+ * @param {function} [options.shouldStop] - checked after every chunk
+ */
+async function verifyDataFile(filePath, { onProgress = () => {}, shouldStop = () => false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    return {
+      filePath,
+      sizeBytes: 0,
+      totalChunks: null,
+      chunksChecked: 0,
+      validChunks: 0,
+      corrupted: [],
+      corruptedCount: 0,
+      missing: [],
+      missingCount: 0,
+      truncated: null,
+      error: `data file not found: ${filePath}`,
+      ok: false
+    };
+  }
+
+  const sizeBytes = fs.statSync(filePath).size;
+  const state = {
+    totalChunks: null,
+    nextChunk: 0,
+    chunksChecked: 0,
+    validChunks: 0,
+    corrupted: [],
+    corruptedCount: 0,
+    missing: [],
+    missingCount: 0
+  };
+
+  const stream = fs.createReadStream(filePath);
+  let pending = [];
+  let pendingBytes = 0;
+  let lineOffset = 0;
+  let skipping = false; // Inside a line that was already too long
+  let bytesRead = 0;
+
+  try {
+    for await (const buffer of stream) {
+      let start = 0;
+      let newline = buffer.indexOf(NEWLINE);
+      while (newline !== -1) {
+        if (!skipping) {
+          pending.push(buffer.subarray(start, newline));
+          checkLine(state, Buffer.concat(pending), lineOffset);
+        }
+        lineOffset = bytesRead + newline + 1;
+        pending = [];
+        pendingBytes = 0;
+        skipping = false;
+        start = newline + 1;
+        newline = buffer.indexOf(NEWLINE, start);
+
+        onProgress({ bytesRead: lineOffset, sizeBytes, chunksChecked: state.chunksChecked });
+        if (shouldStop()) return null;
+      }
+
+      if (!skipping && start < buffer.length) {
+        pending.push(buffer.subarray(start));
+        pendingBytes += buffer.length - start;
+        if (pendingBytes > MAX_LINE_BYTES) {
+          state.chunksChecked++;
+          addCorrupted(state, { offset: lineOffset, chunk: null, reason: `line longer than ${MAX_LINE_BYTES} bytes` });
+          state.nextChunk++;
+          pending = [];
+          pendingBytes = 0;
+          skipping = true;
+        }
+      }
+      bytesRead += buffer.length;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  // Every chunk is written with its newline, so a last line without one was cut off
+  let truncated = null;
+  if (pendingBytes > 0) {
+    truncated = { offset: lineOffset, reason: `last line is incomplete (${pendingBytes} bytes)` };
+  } else if (skipping) {
+    // The over-long line was dropped from pending but never ended either
+    truncated = { offset: lineOffset, reason: `last line is incomplete (${bytesRead - lineOffset} bytes)` };
+  } else if (state.chunksChecked === 0) {
+    truncated = { offset: 0, reason: 'file has no chunks' };
+  }
+  if (state.totalChunks !== null && state.nextChunk < state.totalChunks) {
+    addMissing(state, state.nextChunk, state.totalChunks - 1, truncated ? truncated.offset : sizeBytes);
+    truncated = truncated || { offset: sizeBytes, reason: `file ends after chunk ${state.nextChunk - 1}` };
+  }
+
+  return {
+    filePath,
+    sizeBytes,
+    totalChunks: state.totalChunks,
+    chunksChecked: state.chunksChecked,
+    validChunks: state.validChunks,
+    corrupted: state.corrupted,
+    corruptedCount: state.corruptedCount,
+    missing: state.missing,
+    missingCount: state.missingCount,
+    truncated,
+    error: null,
+    ok: state.corruptedCount === 0 && state.missingCount === 0 && !truncated
+  };
+}
+
+function checkLine(state, line, offset) {
+  state.chunksChecked++;
+
+  let chunk;
+  try {
+    chunk = JSON.parse(line.toString('utf8'));
+  } catch (error) {
+    addCorrupted(state, { offset, chunk: null, reason: 'not valid JSON' });
+    state.nextChunk++;
+    return;
+  }
+
+  const valid = chunk !== null && typeof chunk === 'object'
+    && Number.isInteger(chunk.chunk) && chunk.chunk >= 0
+    && Number.isInteger(chunk.totalChunks) && chunk.totalChunks > 0
+    && typeof chunk.data === 'string' && typeof chunk.hash === 'string';
+  if (!valid) {
+    addCorrupted(state, { offset, chunk: null, reason: 'missing or invalid fields' });
+    state.nextChunk++;
+    return;
+  }
+
+  if (state.totalChunks === null) {
+    state.totalChunks = chunk.totalChunks;
+  }
+
+  // A damaged sequence number must not throw off the sequence
+  if (chunk.chunk >= state.totalChunks) {
+    addCorrupted(state, { offset, chunk: chunk.chunk, reason: `chunk number out of range (${state.totalChunks} chunks)` });
+    state.nextChunk++;
+    return;
+  }
+
+  // Sequence first, so a gap is reported even if this chunk is also bad
+  let inSequence = true;
+  if (chunk.chunk > state.nextChunk) {
+    addMissing(state, state.nextChunk, chunk.chunk - 1, offset);
+  } else if (chunk.chunk < state.nextChunk) {
+    addCorrupted(state, { offset, chunk: chunk.chunk, reason: `duplicate or out of order (expected chunk ${state.nextChunk})` });
+    inSequence = false;
+  }
+  state.nextChunk = Math.max(state.nextChunk, chunk.chunk + 1);
+  if (!inSequence) return;
+
+  if (chunk.totalChunks !== state.totalChunks) {
+    addCorrupted(state, { offset, chunk: chunk.chunk, reason: `totalChunks is ${chunk.totalChunks}, not ${state.totalChunks}` });
+    return;
+  }
+  const hash = crypto.createHash('sha256').update(Buffer.from(chunk.data, 'base64')).digest('hex');
+  if (hash !== chunk.hash) {
+    addCorrupted(state, { offset, chunk: chunk.chunk, reason: 'hash mismatch' });
+    return;
+  }
+  state.validChunks++;
+}
+
+function addCorrupted(state, issue) {
+  state.corruptedCount++;
+  if (state.corrupted.length < MAX_LISTED_ISSUES) {
+    state.corrupted.push(issue);
+  }
+}
+
+function addMissing(state, from, to, offset) {
+  state.missingCount += to - from + 1;
+  if (state.missing.length < MAX_LISTED_ISSUES) {
+    state.missing.push({ from, to, offset });
+  }
+}
+
+module.exports = { RAW_CHUNK_BYTES, chunkCount, formatChunk, verifyDataFile };
@@ -0,0 +1,472 @@
+// Streaming dataset processing for the `stream` stage: reads NDJSON or CSV
+// records one at a time, aggregates them in one pass and, when sorting is
+// requested, sorts them with an external merge sort within a memory budget.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+// Sort keys and their direction, as in the in-memory dataset stage
+const SORT_KEYS = {
+  score: { descending: true },
+  age: { descending: false },
+  salary: { descending: true }
+};
+
+// Runs merged at once; more runs are merged in several passes
+const MAX_MERGE_FAN_IN = 16;
+
+// Rough in-memory cost of a parsed record beyond its JSON text
+const RECORD_OVERHEAD_BYTES = 200;
+
+// Synthetic records are generated in batches, yielding in between
+const SYNTHETIC_BATCH = 10000;
+
+/**
+ * Process a dataset without holding it in memory. Resolves with
+ *   { source, format, totalRecords, invalidRecords, highScorers, highEarners,
+ *     youngUsers, ageGroups, languages, bytesRead, recordsPerSecond,
+ *     memoryBudgetMB, sort: null or { by, runs, mergePasses, outputPath },
+ *     timings: { readMs, sortMs } }
+ * or with null once shouldStop() returned true.
+ *
+ * @param {object} params - the stage's parameters
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - ({ phase: 'read'|'sort', fraction, records })
+ * @param {function} [options.shouldStop] - checked between batches of records
+ */
+async function streamDataset(params, { onProgress = () => {}, shouldStop = () => false } = {}) {
+  const budgetBytes = params.memoryBudgetMB * 1024 * 1024;
+  const source = openSource(params);
+  const aggregator = new DatasetAggregator();
+  const sortKey = params.sortBy === 'none' ? null : params.sortBy;
+  const tempDir = sortKey ? fs.mkdtempSync(path.join(os.tmpdir(), 'heavy-task-sort-')) : null;
+  const sorter = sortKey ? new ExternalSorter({ compare: compareBy(sortKey), budgetBytes, tempDir }) : null;
+
+  try {
+    const readStart = Date.now();
+    let records = 0;
+    for await (const record of source.records()) {
+      records++;
+      if (record === null) {
+        aggregator.invalidRecords++;
+        continue;
+      }
+      aggregator.add(record);
+      if (sorter) {
+        await sorter.add(record);
+      }
+      if (records % 1000 === 0) {
+        onProgress({ phase: 'read', fraction: source.fraction(records), records });
+        if (shouldStop()) return null;
+      }
+    }
+    const readMs = Date.now() - readStart;
+
+    const sortStart = Date.now();
+    let sort = null;
+    if (sorter) {
+      const stats = await sorter.finish(params.sortOutputPath, {
+        onProgress: (fraction) => onProgress({ phase: 'sort', fraction, records }),
+        shouldStop
+      });
+      if (!stats) return null;
+      sort = { by: sortKey, ...stats, outputPath: params.sortOutputPath };
+    }
+
+    return {
+      source: params.inputPath || 'synthetic',
+      format: source.format,
+      ...aggregator.result(),
+      bytesRead: source.bytesRead(),
+      recordsPerSecond: Math.round(aggregator.totalRecords / Math.max(readMs, 1) * 1000),
+      memoryBudgetMB: params.memoryBudgetMB,
+      sort,
+      timings: { readMs, sortMs: sorter ? Date.now() - sortStart : 0 }
+    };
+  } finally {
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// { format, records(), fraction(recordsRead), bytesRead() } for the input
+function openSource({ inputPath, format, syntheticRecords }) {
+  if (!inputPath) {
+    return {
+      format: 'synthetic',
+      records: () => syntheticRecordStream(syntheticRecords),
+      fraction: records => records / syntheticRecords,
+      bytesRead: () => 0
+    };
+  }
+
+  const resolvedFormat = format === 'auto'
+    ? (path.extname(inputPath).toLowerCase() === '.csv' ? 'csv' : 'ndjson')
+    : format;
+  const sizeBytes = fs.statSync(inputPath).size;
+  const stream = fs.createReadStream(inputPath);
+  return {
+    format: resolvedFormat,
+    records: () => fileRecordStream(stream, resolvedFormat),
+    fraction: () => (sizeBytes > 0 ? stream.bytesRead / sizeBytes : 1),
+    bytesRead: () => stream.bytesRead
+  };
+}
+
+// Yields a record per line, or null for a line that is not a record
+async function* fileRecordStream(stream, format) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let columns = null;
+  try {
+    for await (const line of lines) {
+      if (line.trim() === '') continue;
+      if (format === 'csv') {
+        if (!columns) {
+          columns = parseCsvLine(line).map(column => column.trim());
+          continue;
+        }
+        yield csvRecord(columns, parseCsvLine(line));
+      } else {
+        yield parseJsonRecord(line);
+      }
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+// The same records the in-memory dataset stage generates
+async function* syntheticRecordStream(count) {
+  for (let i = 0; i < count; i++) {
+    yield {
+      id: i,
+      name: `User ${i}`,
+      email: `user${i}@example.com`,
+      age: Math.floor(Math.random() * 80) + 18,
+      score: Math.random() * 100,
+      salary: Math.floor(Math.random() * 100000) + 30000,
+      metadata: {
+        created: new Date().toISOString(),
+        preferences: {
+          language: ['en', 'es', 'fr', 'de', 'it'][Math.floor(Math.random() * 5)]
+        }
+      }
+    };
+    if (i % SYNTHETIC_BATCH === SYNTHETIC_BATCH - 1) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+}
+
+function parseJsonRecord(line) {
+  try {
+    const record = JSON.parse(line);
+    return record !== null && typeof record === 'object' && !Array.isArray(record) ? record : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// One CSV line: comma separated, fields may be quoted with "" escaping "
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Numeric-looking CSV values become numbers
+function csvRecord(columns, fields) {
+  if (fields.length !== columns.length) return null;
+  const record = {};
+  columns.forEach((column, index) => {
+    const value = fields[index];
+    record[column] = value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+  });
+  return record;
+}
+
+// A record's language: top level (CSV, flat files) or where the synthetic records keep it
+function languageOf(record) {
+  if (typeof record.language === 'string') return record.language;
+  const preferences = record.metadata && record.metadata.preferences;
+  return preferences && typeof preferences.language === 'string' ? preferences.language : null;
+}
+
+function numberOf(record, field) {
+  return typeof record[field] === 'number' && Number.isFinite(record[field]) ? record[field] : null;
+}
+
+// The filters and aggregates of the in-memory dataset stage, in one pass.
+// Fields a record lacks are left out of the matching aggregate.
+class DatasetAggregator {
+  constructor() {
+    this.totalRecords = 0;
+    this.invalidRecords = 0;
+    this.highScorers = 0;
+    this.highEarners = 0;
+    this.youngUsers = 0;
+    this.ageGroups = new Map(); // decade -> count
+    this.languages = new Map(); // language -> { count, totalSalary, salaries }
+  }
+
+  add(record) {
+    this.totalRecords++;
+    const score = numberOf(record, 'score');
+    const salary = numberOf(record, 'salary');
+    const age = numberOf(record, 'age');
+    if (score !== null && score > 90) this.highScorers++;
+    if (salary !== null && salary > 80000) this.highEarners++;
+    if (age !== null) {
+      if (age < 30) this.youngUsers++;
+      const decade = Math.floor(age / 10) * 10;
+      this.ageGroups.set(decade, (this.ageGroups.get(decade) || 0) + 1);
+    }
+
+    const language = languageOf(record);
+    if (language !== null) {
+      const stats = this.languages.get(language) || { count: 0, totalSalary: 0, salaries: 0 };
+      stats.count++;
+      if (salary !== null) {
+        stats.totalSalary += salary;
+        stats.salaries++;
+      }
+      this.languages.set(language, stats);
+    }
+  }
+
+  result() {
+    const ageGroups = {};
+    [...this.ageGroups.keys()].sort((a, b) => a - b).forEach(decade => {
+      ageGroups[`${decade}-${decade + 9}`] = this.ageGroups.get(decade);
+    });
+    const languages = {};
+    [...this.languages.keys()].sort((a, b) => a.localeCompare(b)).forEach(language => {
+      const stats = this.languages.get(language);
+      languages[language] = {
+        count: stats.count,
+        averageSalary: stats.salaries > 0 ? Math.round(stats.totalSalary / stats.salaries) : null
+      };
+    });
+    return {
+      totalRecords: this.totalRecords,
+      invalidRecords: this.invalidRecords,
+      highScorers: this.highScorers,
+      highEarners: this.highEarners,
+      youngUsers: this.youngUsers,
+      ageGroups,
+      languages
+    };
+  }
+}
+
+// Records without the field sort last
+function compareBy(field) {
+  const direction = SORT_KEYS[field].descending ? -1 : 1;
+  return (a, b) => {
+    const left = numberOf(a, field);
+    const right = numberOf(b, field);
+    if (left === null || right === null) {
+      return (left === null ? 1 : 0) - (right === null ? 1 : 0);
+    }
+    return (left - right) * direction;
+  };
+}
+
+/**
+ * External merge sort: records are buffered up to the memory budget, then
+ * sorted and written to a run file. finish() merges the runs into the
+ * output, at most MAX_MERGE_FAN_IN at a time. Equal records keep their order.
+ */
+class ExternalSorter {
+  constructor({ compare, budgetBytes, tempDir }) {
+    this.compare = compare;
+    this.budgetBytes = budgetBytes;
+    this.tempDir = tempDir;
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.runs = [];
+    this.runCount = 0;
+  }
+
+  async add(record) {
+    const line = JSON.stringify(record);
+    this.buffer.push({ record, line });
+    this.bufferBytes += line.length * 2 + RECORD_OVERHEAD_BYTES;
+    if (this.bufferBytes >= this.budgetBytes) {
+      await this.spill();
+    }
+  }
+
+  async spill() {
+    // Array.prototype.sort is stable, so equal records keep their order
+    this.buffer.sort((a, b) => this.compare(a.record, b.record));
+    const runPath = this.nextRunPath();
+    await writeLines(runPath, this.buffer.map(entry => entry.line));
+    this.runs.push(runPath);
+    this.buffer = [];
+    this.bufferBytes = 0;
+  }
+
+  nextRunPath() {
+    this.runCount++;
+    return path.join(this.tempDir, `run-${this.runCount}.ndjson`);
+  }
+
+  // Resolves with { runs, mergePasses }, or null if stopped
+  async finish(outputPath, { onProgress = () => {}, shouldStop = () => false } = {}) {
+    // Everything fitted in memory: no runs needed
+    if (this.runs.length === 0) {
+      this.buffer.sort((a, b) => this.compare(a.record, b.record));
+      await writeLines(outputPath, this.buffer.map(entry => entry.line));
+      this.buffer = [];
+      onProgress(1);
+      return { runs: 0, mergePasses: 0 };
+    }
+
+    if (this.buffer.length > 0) {
+      await this.spill();
+    }
+    const runs = this.runs.length;
+    let pending = this.runs;
+    let mergePasses = 0;
+    const totalPasses = Math.max(1, Math.ceil(Math.log(pending.length) / Math.log(MAX_MERGE_FAN_IN)));
+
+    while (pending.length > 1 || mergePasses === 0) {
+      const groups = [];
+      for (let i = 0; i < pending.length; i += MAX_MERGE_FAN_IN) {
+        groups.push(pending.slice(i, i + MAX_MERGE_FAN_IN));
+      }
+      const lastPass = groups.length === 1;
+      const merged = [];
+      for (const group of groups) {
+        const target = lastPass ? outputPath : this.nextRunPath();
+        if (!await this.mergeRuns(group, target, shouldStop)) return null;
+        group.forEach(runPath => fs.rmSync(runPath, { force: true }));
+        merged.push(target);
+      }
+      mergePasses++;
+      onProgress(Math.min(mergePasses / totalPasses, 1));
+      pending = merged;
+      if (lastPass) break;
+    }
+    return { runs, mergePasses };
+  }
+
+  // k-way merge; with few runs a linear scan for the smallest head beats a heap
+  async mergeRuns(runPaths, outputPath, shouldStop) {
+    // readline's return() leaves the file streams open, so keep them to destroy
+    const inputs = runPaths.map(runPath => fs.createReadStream(runPath));
+    const readers = inputs.map(input => readline.createInterface({
+      input,
+      crlfDelay: Infinity
+    })[Symbol.asyncIterator]());
+    const heads = [];
+    let output = null;
+    let written = 0;
+    try {
+      for (let index = 0; index < readers.length; index++) {
+        heads.push(await nextEntry(readers[index]));
+      }
+
+      output = createOutput(outputPath);
+      for (;;) {
+        let smallest = -1;
+        heads.forEach((head, index) => {
+          // Ties go to the earlier run, which holds the earlier records
+          if (head && (smallest === -1 || this.compare(head.record, heads[smallest].record) < 0)) {
+            smallest = index;
+          }
+        });
+        if (smallest === -1) break;
+
+        await output.write(heads[smallest].line);
+        heads[smallest] = await nextEntry(readers[smallest]);
+
+        written++;
+        if (written % 1000 === 0 && shouldStop()) return false;
+      }
+    } finally {
+      readers.forEach(reader => reader.return());
+      inputs.forEach(input => input.destroy());
+      if (output) {
+        await output.close();
+      }
+    }
+    return true;
+  }
+}
+
+async function nextEntry(reader) {
+  const { value, done } = await reader.next();
+  return done ? null : { line: value, record: JSON.parse(value) };
+}
+
+async function writeLines(filePath, lines) {
+  const output = createOutput(filePath);
+  try {
+    for (const line of lines) {
+      await output.write(line);
+    }
+  } finally {
+    await output.close();
+  }
+}
+
+// Line writer whose open and write errors (EACCES, ENOSPC, ...) reject the
+// next write() or close() rather than going unhandled while we await input
+function createOutput(filePath) {
+  const stream = fs.createWriteStream(filePath);
+  let failure = null;
+  stream.on('error', (error) => { failure = failure || error; });
+  const check = () => {
+    const error = failure || stream.errored;
+    if (error) throw error;
+  };
+
+  return {
+    async write(line) {
+      check();
+      if (!stream.write(`${line}\n`)) {
+        await once(stream, 'drain');
+      }
+    },
+    // Settles once the file is closed, also after an error
+    async close() {
+      if (!stream.destroyed) {
+        await new Promise(resolve => {
+          stream.once('close', resolve);
+          stream.end();
+        });
+      }
+      check();
+    }
+  };
+}
+
+module.exports = { streamDataset, SORT_KEYS, parseCsvLine };
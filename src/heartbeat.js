@@ -0,0 +1,87 @@
+// Periodically writes a JSON heartbeat file that heartbeat_monitor.sh watches
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child('heartbeat');
+
+const DEFAULT_HEARTBEAT_FILE = '/tmp/resilient_app_heartbeat';
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 1000;
+
+class Heartbeat {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - where the heartbeat JSON is written
+   * @param {number} options.intervalMs - time between two beats
+   * @param {function} options.getStatus - returns app fields merged into each beat
+   */
+  constructor({ filePath = DEFAULT_HEARTBEAT_FILE, intervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS, getStatus = () => ({}) } = {}) {
+    this.filePath = filePath;
+    this.intervalMs = intervalMs;
+    this.getStatus = getStatus;
+    this.timer = null;
+    this.expectedAt = 0;
+    this.lastLagMs = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+    log.info(`💓 Heartbeat every ${this.intervalMs}ms → ${this.filePath}`);
+    this.beat();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  setInterval(intervalMs) {
+    this.intervalMs = intervalMs;
+  }
+
+  // Stop beating and remove the file, e.g. on an intentional quit
+  remove() {
+    this.stop();
+    try {
+      fs.unlinkSync(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('⚠️ Could not remove heartbeat file:', error.message);
+      }
+    }
+  }
+
+  beat() {
+    // How late this timer fired is the event-loop lag since the last beat
+    const now = Date.now();
+    if (this.expectedAt) {
+      this.lastLagMs = Math.max(0, now - this.expectedAt);
+    }
+
+    this.write({
+      timestamp: now,
+      pid: process.pid,
+      intervalMs: this.intervalMs,
+      uptimeSeconds: Math.round(process.uptime()),
+      eventLoopLagMs: this.lastLagMs,
+      ...this.getStatus()
+    });
+
+    this.expectedAt = Date.now() + this.intervalMs;
+    this.timer = setTimeout(() => this.beat(), this.intervalMs);
+  }
+
+  // Write to a temp file and rename it over the heartbeat so the
+  // monitor never reads a half-written payload
+  write(payload) {
+    const tempPath = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.${process.pid}.tmp`);
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(payload));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.warn('⚠️ Could not write heartbeat:', error.message);
+    }
+  }
+}
+
+module.exports = { Heartbeat, DEFAULT_HEARTBEAT_FILE, DEFAULT_HEARTBEAT_INTERVAL_MS };
@@ -0,0 +1,206 @@
+// Queues heavy task runs and executes them with a concurrency limit
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child('jobs');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATES = [JOB_STATES.SUCCEEDED, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+// Finished jobs kept around for listJobs(); older ones are dropped
+const MAX_FINISHED_JOBS = 50;
+
+/**
+ * Events:
+ *  - 'job-updated' (job)            state change, snapshot of the job
+ *  - 'job-progress' (job, progress) progress message from a running job
+ *  - 'job-output' (job, stream, text)
+ */
+class JobManager extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - max jobs running at once
+   * @param {function} options.createRunner - (job) => runner with start()/cancel()
+   *   that emits 'progress', 'output' and 'exit' like WorkerRunner
+   */
+  constructor({ concurrency = 1, createRunner }) {
+    super();
+    this.concurrency = Math.max(1, concurrency);
+    this.createRunner = createRunner;
+    this.jobs = new Map(); // id -> job, in submission order
+    this.queue = [];
+    this.runners = new Map(); // id -> runner for running jobs
+    this.waiters = new Map(); // id -> [resolve]
+    this.sequence = 0;
+  }
+
+  /**
+   * @param {object} options - validated task options
+   * @param {object} [extra]
+   * @param {string} [extra.resumedFrom] - id of the interrupted run this job resumes
+   */
+  submit(options = {}, { resumedFrom = null } = {}) {
+    const job = {
+      id: this.createJobId(),
+      state: JOB_STATES.QUEUED,
+      options,
+      resumedFrom,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    log.info(`📥 Job ${job.id} queued (${this.queue.length} waiting, ${this.runners.size}/${this.concurrency} running)`);
+    this.emitUpdate(job);
+    this.pump();
+    return this.snapshot(job);
+  }
+
+  // Resolves with the job's final snapshot once it has finished
+  waitForJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return Promise.reject(new Error(`Unknown job: ${id}`));
+    }
+    if (FINISHED_STATES.includes(job.state)) {
+      return Promise.resolve(this.snapshot(job));
+    }
+    return new Promise((resolve) => {
+      if (!this.waiters.has(id)) this.waiters.set(id, []);
+      this.waiters.get(id).push(resolve);
+    });
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+
+    if (job.state === JOB_STATES.QUEUED) {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      this.finishJob(job, JOB_STATES.CANCELLED, { success: false, cancelled: true });
+      return true;
+    }
+
+    if (job.state === JOB_STATES.RUNNING) {
+      this.runners.get(id).cancel();
+      return true;
+    }
+
+    return false;
+  }
+
+  // Cancel every queued and running job; returns how many were affected
+  cancelAll() {
+    return [...this.jobs.values()]
+      .filter(job => !FINISHED_STATES.includes(job.state))
+      .map(job => this.cancel(job.id))
+      .filter(Boolean).length;
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.pump();
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].map(job => this.snapshot(job));
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  getActiveCount() {
+    return this.runners.size;
+  }
+
+  pump() {
+    while (this.runners.size < this.concurrency && this.queue.length > 0) {
+      this.startJob(this.jobs.get(this.queue.shift()));
+    }
+  }
+
+  startJob(job) {
+    job.state = JOB_STATES.RUNNING;
+    job.startedAt = Date.now();
+
+    const runner = this.createRunner(job);
+    this.runners.set(job.id, runner);
+
+    runner.on('progress', (progress) => {
+      job.progress = progress;
+      this.emit('job-progress', this.snapshot(job), { ...progress, jobId: job.id });
+    });
+
+    runner.on('output', (stream, text) => {
+      this.emit('job-output', this.snapshot(job), stream, text);
+    });
+
+    runner.on('exit', (result) => {
+      this.runners.delete(job.id);
+      let state = JOB_STATES.FAILED;
+      if (result.cancelled) {
+        state = JOB_STATES.CANCELLED;
+      } else if (result.success) {
+        state = JOB_STATES.SUCCEEDED;
+      }
+      this.finishJob(job, state, result);
+      this.pump();
+    });
+
+    log.info(`▶️ Job ${job.id} started`);
+    this.emitUpdate(job);
+    runner.start();
+  }
+
+  finishJob(job, state, result) {
+    job.state = state;
+    job.finishedAt = Date.now();
+    job.result = result;
+    job.error = result.error || null;
+    log.info(`⏹️ Job ${job.id} ${state}`);
+
+    this.emitUpdate(job);
+    (this.waiters.get(job.id) || []).forEach(resolve => resolve(this.snapshot(job)));
+    this.waiters.delete(job.id);
+    this.pruneFinishedJobs();
+  }
+
+  pruneFinishedJobs() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED_STATES.includes(job.state));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  emitUpdate(job) {
+    this.emit('job-updated', this.snapshot(job));
+  }
+
+  snapshot(job) {
+    return {
+      ...job,
+      durationMs: job.startedAt ? (job.finishedAt || Date.now()) - job.startedAt : null
+    };
+  }
+
+  createJobId() {
+    this.sequence++;
+    return `job-${this.sequence}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+}
+
+module.exports = { JobManager, JOB_STATES, FINISHED_STATES };
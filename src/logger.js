@@ -0,0 +1,263 @@
+// Leveled JSON-lines logging for the main process, with size-based rotation
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Entries kept in memory for the log viewer
+const MAX_RECENT_ENTRIES = 2000;
+
+const MB = 1024 * 1024;
+
+/**
+ * Appends lines to a file and rotates it once it would grow past maxBytes:
+ * app.log -> app.1.log -> ... -> app.<maxFiles>.log, the oldest is deleted.
+ */
+class RotatingFile {
+  constructor({ filePath, maxBytes, maxFiles }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = 0;
+    try {
+      this.size = fs.statSync(filePath).size;
+    } catch (error) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+  }
+
+  // Written synchronously so nothing is lost when the process exits right after
+  write(text) {
+    const bytes = Buffer.byteLength(text);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+    try {
+      fs.appendFileSync(this.filePath, text);
+      this.size += bytes;
+    } catch (error) {
+      // Logging must never take the app down; the console still has the entry
+    }
+  }
+
+  rotate() {
+    const { dir, name, ext } = path.parse(this.filePath);
+    const numbered = (index) => path.join(dir, `${name}.${index}${ext}`);
+    try {
+      fs.rmSync(numbered(this.maxFiles), { force: true });
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(numbered(index))) {
+          fs.renameSync(numbered(index), numbered(index + 1));
+        }
+      }
+      fs.renameSync(this.filePath, numbered(1));
+    } catch (error) {
+      // Keep appending to the current file rather than losing entries
+    }
+    this.size = 0;
+  }
+}
+
+/**
+ * Process-wide logger. Modules take a component logger with
+ *   const log = logger.child('restart');
+ *   log.info('Launch Agent loaded');
+ * Entries logged before configure() are kept and written once the
+ * log directory is known.
+ *
+ * Events:
+ *  - 'entry' (entry) every entry at or above the current level
+ */
+class Logger extends EventEmitter {
+  constructor() {
+    super();
+    this.level = 'info';
+    this.dir = null;
+    this.maxBytes = 5 * MB;
+    this.maxFiles = 5;
+    this.maxJobLogs = 50;
+    this.console = true;
+    this.file = null;
+    this.pending = [];
+    this.recent = [];
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.dir - log directory; main.log and jobs/ live here
+   * @param {string} options.level - lowest level recorded
+   * @param {number} options.maxFileSizeMB - rotate files at this size
+   * @param {number} options.maxFiles - rotated files kept per log
+   * @param {number} options.maxJobLogs - per-job log files kept
+   * @param {boolean} options.console - also print entries to stdout/stderr
+   */
+  configure({ dir, level, maxFileSizeMB, maxFiles, maxJobLogs, console: toConsole = true }) {
+    this.dir = dir;
+    this.console = toConsole;
+    this.setLevel(level);
+    this.setRotation({ maxFileSizeMB, maxFiles, maxJobLogs });
+    this.file = new RotatingFile({ filePath: path.join(dir, 'main.log'), maxBytes: this.maxBytes, maxFiles: this.maxFiles });
+
+    this.pending.forEach(entry => this.file.write(`${JSON.stringify(entry)}\n`));
+    this.pending = [];
+  }
+
+  setLevel(level) {
+    if (LEVELS.includes(level)) {
+      this.level = level;
+    }
+  }
+
+  setRotation({ maxFileSizeMB, maxFiles, maxJobLogs }) {
+    this.maxBytes = maxFileSizeMB * MB;
+    this.maxFiles = maxFiles;
+    this.maxJobLogs = maxJobLogs;
+    if (this.file) {
+      this.file.maxBytes = this.maxBytes;
+      this.file.maxFiles = this.maxFiles;
+    }
+  }
+
+  child(component) {
+    const logger = {};
+    LEVELS.forEach(level => {
+      logger[level] = (...args) => this.log(level, component, args);
+    });
+    return logger;
+  }
+
+  isEnabled(level) {
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+  }
+
+  // args are console-style: strings, values and errors in any order
+  log(level, component, args) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, component, message: formatMessage(args) };
+    const error = args.find(arg => arg instanceof Error);
+    if (error && error.stack) {
+      entry.stack = error.stack;
+    }
+
+    if (this.console) {
+      const print = level === 'error' || level === 'warn' ? console.error : console.log;
+      print(`[${component}] ${entry.message}`);
+    }
+
+    if (this.file) {
+      this.file.write(`${JSON.stringify(entry)}\n`);
+    } else {
+      this.pending.push(entry);
+    }
+    this.remember(entry);
+  }
+
+  remember(entry) {
+    this.recent.push(entry);
+    if (this.recent.length > MAX_RECENT_ENTRIES) {
+      this.recent.splice(0, this.recent.length - MAX_RECENT_ENTRIES);
+    }
+    this.emit('entry', entry);
+  }
+
+  // Recent entries for the log viewer, oldest first
+  getRecent({ level = 'debug', component = null, limit = 500 } = {}) {
+    return this.recent
+      .filter(entry => LEVELS.indexOf(entry.level) >= LEVELS.indexOf(level))
+      .filter(entry => !component || entry.component === component)
+      .slice(-limit);
+  }
+
+  getComponents() {
+    return [...new Set(this.recent.map(entry => entry.component))].sort();
+  }
+
+  /**
+   * Per-job log file (jobs/<jobId>.log) for a worker's stdout and stderr.
+   * Lines are also shown in the log viewer, but not written to main.log.
+   * A line split across output chunks is held until its newline, or until
+   * flush() once the job has finished.
+   */
+  createJobLog(jobId) {
+    const component = `worker:${jobId}`;
+    let file = null;
+    if (this.dir) {
+      try {
+        file = new RotatingFile({ filePath: path.join(this.dir, 'jobs', `${jobId}.log`), maxBytes: this.maxBytes, maxFiles: this.maxFiles });
+      } catch (error) {
+        // Logging must never take the app down; the log viewer still gets the lines
+        this.log('warn', 'logger', [`⚠️ Could not create the log of job ${jobId}:`, error.message]);
+      }
+    }
+    this.pruneJobLogs();
+
+    const partial = { stdout: '', stderr: '' };
+    const writeLine = (stream, line) => {
+      if (line.trim() === '') return;
+      const level = stream === 'stderr' ? 'warn' : 'info';
+      const entry = { time: new Date().toISOString(), level, component, stream, message: line };
+      if (file) {
+        file.write(`${JSON.stringify(entry)}\n`);
+      }
+      if (this.isEnabled(level)) {
+        this.remember(entry);
+      }
+    };
+
+    return {
+      filePath: file ? file.filePath : null,
+      write: (stream, text) => {
+        const lines = (partial[stream] + text).split('\n');
+        partial[stream] = lines.pop();
+        lines.forEach(line => writeLine(stream, line));
+      },
+      flush: () => {
+        Object.keys(partial).forEach(stream => {
+          writeLine(stream, partial[stream]);
+          partial[stream] = '';
+        });
+      }
+    };
+  }
+
+  // Make room for a new job log: keep the newest maxJobLogs - 1 existing
+  // ones (a job's rotated files count as one)
+  pruneJobLogs() {
+    const jobsDir = path.join(this.dir || '', 'jobs');
+    if (!this.dir || !fs.existsSync(jobsDir)) return;
+    try {
+      const byJob = new Map();
+      fs.readdirSync(jobsDir).forEach(name => {
+        const jobId = name.replace(/(\.\d+)?\.log$/, '');
+        const mtime = fs.statSync(path.join(jobsDir, name)).mtimeMs;
+        const files = byJob.get(jobId) || { mtime: 0, names: [] };
+        files.mtime = Math.max(files.mtime, mtime);
+        files.names.push(name);
+        byJob.set(jobId, files);
+      });
+
+      [...byJob.values()]
+        .sort((a, b) => b.mtime - a.mtime)
+        .slice(this.maxJobLogs - 1)
+        .forEach(files => files.names.forEach(name => fs.rmSync(path.join(jobsDir, name), { force: true })));
+    } catch (error) {
+      this.log('warn', 'logger', ['⚠️ Could not prune job logs:', error.message]);
+    }
+  }
+}
+
+function formatMessage(args) {
+  return args.map(arg => {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return arg.message;
+    return util.inspect(arg, { depth: 3, breakLength: Infinity });
+  }).join(' ');
+}
+
+// Shared by every module in the main process
+const logger = new Logger();
+
+module.exports = { logger, Logger, RotatingFile, LEVELS };
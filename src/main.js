@@ -1,8 +1,37 @@
-const { app, BrowserWindow, ipcMain, dialog, Tray, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Tray, Menu, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { spawn, exec } = require('child_process');
+const { exec } = require('child_process');
+const { JobManager, JOB_STATES, FINISHED_STATES } = require('./job-manager');
+const { WorkerRunner } = require('./worker-runner');
+const { ThreadPool, ThreadRunner } = require('./thread-pool');
+const { validateTaskOptions, describeTasks, TaskOptionsError } = require('./task-registry');
+const { Heartbeat } = require('./heartbeat');
+const { RestartLedger } = require('./restart-ledger');
+const { RunHistory } = require('./run-history');
+const { CheckpointStore } = require('./checkpoints');
+const { createSettings } = require('./settings');
+const { ServiceManager } = require('./service-manager');
+const { ControlServer } = require('./control-socket');
+const { ResponsivenessMonitor } = require('./responsiveness');
+const { buildTrayTemplate, formatTooltip } = require('./tray-menu');
+const { Notifier, describeStartup } = require('./notifications');
+const { logger } = require('./logger');
+
+const lifecycleLog = logger.child('lifecycle');
+const restartLog = logger.child('restart');
+const windowLog = logger.child('window');
+const trayLog = logger.child('tray');
+const ipcLog = logger.child('ipc');
+const controlLog = logger.child('control');
+const resumeLog = logger.child('resume');
+
+// The tray menu is rebuilt at most this often while jobs report progress
+const TRAY_UPDATE_INTERVAL_MS = 1000;
+
+// ...and at least this often, for the uptime
+const TRAY_REFRESH_INTERVAL_MS = 30000;
 
 class SystemResilientApp {
   constructor() {
@@ -15,12 +44,63 @@ class SystemResilientApp {
     this.isHeadlessMode = false;
     this.isCreatingWindow = false;
     this.tray = null;
+    this.trayUpdateTimer = null;
+    this.viaLaunchAgent = process.env.LAUNCH_AGENT_RESTART === '1'; // showUI() clears the env var
+    this.underSystemd = process.env.RESILIENT_APP_SERVICE === 'systemd'; // set by our systemd unit
+    // Tray only, no window: --headless on any platform, or a start by the
+    // LaunchAgent/systemd unit. Cleared once the UI is shown.
+    this.startHeadless = process.argv.includes('--headless') || this.viaLaunchAgent;
+    this.safeMode = null; // { enteredAt, reason } while crash-loop safe mode is active
+    this.settings = createSettings(app.getPath('userData'));
+    // Under the LaunchAgent stdout is a file launchd never rotates, so
+    // only our own rotating logs are written there
+    logger.configure({
+      dir: this.settings.get('paths.logDirectory'),
+      level: this.settings.get('logging.level'),
+      maxFileSizeMB: this.settings.get('logging.maxFileSizeMB'),
+      maxFiles: this.settings.get('logging.maxFiles'),
+      maxJobLogs: this.settings.get('logging.maxJobLogs'),
+      console: !this.viaLaunchAgent
+    });
+    this.jobLogs = new Map(); // jobId -> per-job log of worker output
+    this.restartLedger = new RestartLedger({
+      filePath: path.join(app.getPath('userData'), 'restart-history.json')
+    });
+    this.runHistory = new RunHistory({
+      filePath: path.join(app.getPath('userData'), 'run-history.json'),
+      maxRuns: this.settings.get('history.maxRuns')
+    });
+    // Unfinished runs, so they can be resumed after a restart
+    this.checkpoints = new CheckpointStore({
+      filePath: path.join(app.getPath('userData'), 'checkpoints.json')
+    });
+    this.threadPool = new ThreadPool({ maxIdle: this.settings.get('jobs.concurrency') });
+    this.responsiveness = new ResponsivenessMonitor();
+    this.jobManager = new JobManager({
+      concurrency: this.settings.get('jobs.concurrency'),
+      createRunner: (job) => this.createRunner(job)
+    });
+    this.notifier = new Notifier({
+      settings: this.settings,
+      show: (notification) => this.showNotification(notification)
+    });
+    this.notifications = new Set(); // Shown notifications, kept so their clicks still arrive
+    this.pendingFocus = null; // What a notification click opens once the window has loaded
+    this.startupEntry = null; // This start's restart ledger entry
+    this.controlServer = null;
+    this.heartbeat = new Heartbeat({
+      filePath: this.settings.get('paths.heartbeatFile'),
+      intervalMs: this.settings.get('heartbeat.intervalMs'),
+      getStatus: () => this.getHeartbeatStatus()
+    });
     
     // Log startup mode
-    if (process.env.LAUNCH_AGENT_RESTART) {
-      console.log('🌀 Started via LaunchAgent - headless mode');
+    if (this.viaLaunchAgent) {
+      lifecycleLog.info('🌀 Started via LaunchAgent - headless mode');
+    } else if (this.startHeadless) {
+      lifecycleLog.info('🌀 Started with --headless - tray only');
     } else {
-      console.log('🧑‍💻 Started manually - normal mode');
+      lifecycleLog.info('🧑‍💻 Started manually - normal mode');
     }
     
     // Clean up any existing intentional quit signal
@@ -38,6 +118,9 @@ class SystemResilientApp {
       return;
     }
 
+    this.recordStartup();
+    this.setupSettingsReload();
+
     // Prevents multiple instances of your app from running
     app.on('second-instance', () => {
       if (this.mainWindow) {
@@ -47,13 +130,26 @@ class SystemResilientApp {
     });
 
     app.whenReady().then(() => {
+      this.heartbeat.start();
       this.setupTray();
       this.createWindow();
-      this.setupRestartMechanism();
+      // No auto-restart while in safe mode or turned off; set up again on
+      // "clear and resume" or when it is turned back on
+      if (this.isAutoRestartEnabled()) {
+        this.setupRestartMechanism();
+      }
       this.setupIPC();
+      this.setupControlSocket();
+      this.responsiveness.start();
+      describeStartup(this.startupEntry, this.safeMode).forEach(notification => this.notifier.notify(notification));
+      // Offered in the window (and via resilient-ctl), never resumed unasked
+      const interrupted = this.getInterruptedRuns();
+      if (interrupted.length > 0) {
+        resumeLog.info(`⏸️ ${interrupted.length} unfinished run(s) from before the restart - resume or discard them`);
+      }
       
-      // Prevent any focus stealing when restarted by Launch Agent
-      if (process.env.LAUNCH_AGENT_RESTART === '1') {
+      // Prevent any focus stealing when started headless
+      if (this.startHeadless) {
         app.dock?.hide(); // Hide from dock completely
       }
     });
@@ -61,28 +157,29 @@ class SystemResilientApp {
     app.on('window-all-closed', () => {
       // On macOS, keep app running even when all windows are closed
       if (process.platform !== 'darwin') {
-        if (!this.isQuitting) {
+        if (!this.isQuitting && !this.isHeadlessMode) {
           // On Windows/Linux, recreate window immediately
           setTimeout(() => {
             this.createWindow();
-          }, 1000);
+          }, this.settings.get('window.recreateDelayMs'));
         }
       }
       // On macOS, app stays running in dock
     });
 
     app.on('activate', () => {
-      // Don't respond to activate events if we're restarted by Launch Agent
-      if (process.env.LAUNCH_AGENT_RESTART === '1') {
-        console.log(' Ignoring activate event - Launch Agent restart mode');
+      // Don't respond to activate events while started headless
+      if (this.startHeadless) {
+        windowLog.info(' Ignoring activate event - Launch Agent restart mode');
         return;
       }
       
       // On macOS, re-create window when dock icon is clicked
       if (this.isHeadlessMode || BrowserWindow.getAllWindows().length === 0) {
         // Either in headless mode or no windows exist - create a new normal window
-        console.log(' Creating window from headless mode');
+        windowLog.info(' Creating window from headless mode');
         delete process.env.LAUNCH_AGENT_RESTART; // Ensure it's treated as normal startup
+        this.startHeadless = false;
         this.isHeadlessMode = false;
         
         // Show dock icon again
@@ -102,13 +199,13 @@ class SystemResilientApp {
     app.on('before-quit', (event) => {
       // If Force Quit button was used, allow it
       if (this.isQuitting) {
-        console.log('✅ Force Quit button used - allowing clean exit');
+        lifecycleLog.info('✅ Force Quit button used - allowing clean exit');
         this.isManualQuit = true; // Mark as manual quit
         return; // Allow quit
       }
       
       // For all other quit attempts (Cmd+Q, menu quit, etc.), prevent them
-      console.log('🛡️ Quit attempt prevented - app is resilient. Use Force Quit button to exit');
+      lifecycleLog.info('🛡️ Quit attempt prevented - app is resilient. Use Force Quit button to exit');
       event.preventDefault();
       
       // Hide window instead of quitting
@@ -116,47 +213,59 @@ class SystemResilientApp {
         this.mainWindow.hide();
       }
       
-      // On non-macOS systems, recreate window after a delay
-      if (process.platform !== 'darwin') {
+      // On non-macOS systems, recreate window after a delay (none while headless)
+      if (process.platform !== 'darwin' && !this.isHeadlessMode) {
         setTimeout(() => {
           this.createWindow();
-        }, 2000);
+        }, this.settings.get('window.restoreDelayMs'));
       }
     });
 
     // Handle will-quit to control LaunchAgent restart behavior via exit codes
     app.on('will-quit', (event) => {
+      this.stopServices();
       if (this.isManualQuit) {
         // Manual quit (Force Quit button) - exit with 0 so LaunchAgent doesn't restart
-        console.log('🛑 Manual quit - LaunchAgent will NOT restart app');
+        lifecycleLog.info('🛑 Manual quit - LaunchAgent will NOT restart app');
+        this.restartLedger.recordExit({ reason: 'force-quit', exitCode: 0 });
+        process.exit(0);
+      } else if (this.safeMode) {
+        // Safe mode means no auto-restart, so don't ask LaunchAgent for one
+        lifecycleLog.info('🧯 Quit in safe mode - exiting with 0 so the app is NOT restarted');
+        this.restartLedger.recordExit({ reason: 'external-quit', exitCode: 0 });
+        process.exit(0);
+      } else if (!this.isAutoRestartEnabled()) {
+        lifecycleLog.info('⏸️ Quit with auto-restart off - exiting with 0 so the app is NOT restarted');
+        this.restartLedger.recordExit({ reason: 'external-quit', exitCode: 0 });
         process.exit(0);
       } else {
         // External quit (Activity Monitor, crash, etc.) - exit with 1 so LaunchAgent restarts
-        console.log('🔄 External quit detected - LaunchAgent will restart app');
+        lifecycleLog.info('🔄 External quit detected - LaunchAgent will restart app');
+        this.restartLedger.recordExit({ reason: 'external-quit', exitCode: 1 });
         process.exit(1);
       }
     });
 
     // Handle crash recovery
     process.on('uncaughtException', (error) => {
-      console.error('Uncaught Exception:', error);
-      this.restartApp();
+      lifecycleLog.error('Uncaught Exception:', error);
+      this.handleCrash('uncaughtException', error);
     });
 
     process.on('unhandledRejection', (reason, promise) => {
-      console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-      this.restartApp();
+      lifecycleLog.error('Unhandled Rejection at:', promise, 'reason:', reason);
+      this.handleCrash('unhandledRejection', reason);
     });
 
     // Handle signal to show UI
     process.on('SIGUSR1', () => {
-      console.log('📱 Received signal to show UI');
+      lifecycleLog.info('📱 Received signal to show UI');
       this.showUI();
     });
 
     // Handle SIGINT in dev mode (Ctrl+C) - but don't quit, be resilient
     process.on('SIGINT', () => {
-      console.log('🛡️ Ctrl+C detected - app is resilient, staying alive. Use Force Quit button to exit.');
+      lifecycleLog.info('🛡️ Ctrl+C detected - app is resilient, staying alive. Use Force Quit button to exit.');
       // Don't quit - app should be resilient to Ctrl+C
       // Only the Force Quit button in UI should be able to exit
     });
@@ -165,11 +274,9 @@ class SystemResilientApp {
   }
 
   createWindow() {
-    const isLaunchAgentRestart = process.env.LAUNCH_AGENT_RESTART === '1';
-    
     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-      // Only show/focus if not started by Launch Agent
-      if (!isLaunchAgentRestart) {
+      // Only show/focus if not started headless
+      if (!this.startHeadless) {
         this.mainWindow.show();
         this.mainWindow.focus();
       }
@@ -182,14 +289,18 @@ class SystemResilientApp {
     // Check if this is a restart after being killed (vs initial start)
     const wasKilledAndRestarted = this.checkIfRestartAfterKill();
     
-    // If started by Launch Agent, check if we should show UI
-    if (isLaunchAgentRestart) {
+    // If started headless, check if we should show UI
+    if (this.startHeadless && !this.safeMode) {
       if (wasKilledAndRestarted) {
-        console.log('🔄 App restarted after being killed - showing UI automatically');
+        windowLog.info('🔄 App restarted after being killed - showing UI automatically');
+        this.startHeadless = false;
         // Proceed to create window normally
+      } else if (!this.tray && process.platform !== 'darwin') {
+        // Without a dock, the tray is the only way back to the window
+        windowLog.warn('⚠️ No tray icon - showing window instead of starting headless');
       } else {
-        console.log(' App started by Launch Agent (pure headless mode - no window)');
-        console.log(' App running in background - click dock icon to show window');
+        windowLog.info(' App started headless (pure headless mode - no window)');
+        windowLog.info(` App running in background - ${process.platform === 'darwin' ? 'click dock icon' : 'use the tray icon'} to show window`);
         
         // Mark that app is running (for restart detection)
         this.markAppAsRunning();
@@ -213,8 +324,8 @@ class SystemResilientApp {
     // Normal startup - create regular window
     this.isHeadlessMode = false;
     this.mainWindow = new BrowserWindow({
-      width: 800,
-      height: 600,
+      width: this.settings.get('window.width'),
+      height: this.settings.get('window.height'),
       webPreferences: {
         nodeIntegration: false,
         contextIsolation: true,
@@ -228,6 +339,14 @@ class SystemResilientApp {
 
     this.mainWindow.loadFile(path.join(__dirname, 'index.html'));
 
+    // A notification clicked while the window was missing or loading
+    this.mainWindow.webContents.on('did-finish-load', () => {
+      if (this.pendingFocus) {
+        this.sendToRenderer('focus-target', this.pendingFocus);
+        this.pendingFocus = null;
+      }
+    });
+
     // Handle normal window showing
     this.mainWindow.once('ready-to-show', () => {
       this.mainWindow.show();
@@ -238,15 +357,19 @@ class SystemResilientApp {
       
       // Show resilience status in dev mode
       if (this.isDev) {
-        console.log(' Resilience mode: Active');
-        console.log(' To truly quit: Use Force Quit button or kill process');
+        windowLog.info(' Resilience mode: Active');
+        windowLog.info(' To truly quit: Use Force Quit button or kill process');
       }
     });
 
+    // The tray offers Show or Hide depending on this
+    this.mainWindow.on('show', () => this.scheduleTrayUpdate());
+    this.mainWindow.on('hide', () => this.scheduleTrayUpdate());
+
     // Handle window close button
     this.mainWindow.on('close', (event) => {
       if (!this.isQuitting) {
-        console.log('Window close prevented - resilience mode active');
+        windowLog.info('Window close prevented - resilience mode active');
         event.preventDefault();
         
         if (process.platform === 'darwin') {
@@ -259,7 +382,7 @@ class SystemResilientApp {
             if (!this.isQuitting) {
               this.createWindow();
             }
-          }, 2000);
+          }, this.settings.get('window.restoreDelayMs'));
         }
       }
     });
@@ -269,10 +392,10 @@ class SystemResilientApp {
       this.mainWindow = null;
       this.isCreatingWindow = false; // Clear flag when window is destroyed
       if (!this.isQuitting) {
-        console.log('Window was destroyed - recreating...');
+        windowLog.info('Window was destroyed - recreating...');
         setTimeout(() => {
           this.createWindow();
-        }, 1000);
+        }, this.settings.get('window.recreateDelayMs'));
       }
     });
 
@@ -292,173 +415,37 @@ class SystemResilientApp {
     }
   }
 
+  // Install the OS-level restart mechanism for the running executable
   async setupRestartMechanism() {
     if (this.restartMechanismSetup) return;
-    
-    try {
-      switch (this.platform) {
-        case 'win32':
-          await this.setupWindowsRestart();
-          break;
-        case 'darwin':
-          await this.setupMacOSRestart();
-          break;
-        case 'linux':
-          await this.setupLinuxRestart();
-          break;
-      }
-      this.restartMechanismSetup = true;
-    } catch (error) {
-      console.error('Failed to setup restart mechanism:', error);
-    }
-  }
-
-  async setupWindowsRestart() {
-    const appPath = process.execPath;
-    const taskName = 'SystemResilientApp';
-    
-    // Create a batch script that checks if app is running and starts it if not
-    const batchScript = `
-@echo off
-:loop
-tasklist /FI "IMAGENAME eq ${path.basename(appPath)}" 2>NUL | find /I /N "${path.basename(appPath)}">NUL
-if "%ERRORLEVEL%"=="0" (
-  timeout /t 5 /nobreak >nul
-  goto loop
-) else (
-  start "" "${appPath}"
-  timeout /t 5 /nobreak >nul
-  goto loop
-)
-`;
-
-    const scriptPath = path.join(os.tmpdir(), 'restart_app.bat');
-    fs.writeFileSync(scriptPath, batchScript);
-
-    // Create scheduled task
-    const taskCmd = `schtasks /create /tn "${taskName}" /tr "${scriptPath}" /sc onstart /ru SYSTEM /f`;
-    
-    exec(taskCmd, (error) => {
-      if (error) {
-        console.error('Failed to create Windows scheduled task:', error);
-        // Fallback: use registry startup
-        this.setupWindowsRegistryStartup();
-      }
-    });
-  }
-
-  setupWindowsRegistryStartup() {
-    const appPath = process.execPath;
-    const regCmd = `reg add "HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Run" /v "SystemResilientApp" /t REG_SZ /d "${appPath}" /f`;
-    
-    exec(regCmd, (error) => {
-      if (error) {
-        console.error('Failed to add to Windows registry:', error);
-      }
-    });
-  }
 
-  async setupMacOSRestart() {
-    console.log('🔄 Setting up Launch Agent for system-level restart');
-    
-    // Optionally install to /Applications/ for production use
+    // On macOS the LaunchAgent always points at the packaged app. Optionally
+    // install it to /Applications/ first for production use:
     // await this.installToApplications();
-    
-    // Create Launch Agent that monitors and restarts silently
-    await this.createLaunchAgent();
-    
-    console.log(' Launch Agent enabled — app will restart if crashed/killed');
-  }
-
-  async createLaunchAgent() {
-    // Check for app in /Applications/ first (production), then fall back to dist/ (development)
-    const applicationsAppPath = '/Applications/System Resilient App.app/Contents/MacOS/System Resilient App';
-    
-    let appPath;
-    if (fs.existsSync(applicationsAppPath)) {
-      appPath = applicationsAppPath;
-      console.log(`🎯 Using installed app from /Applications/`);
-    } else {
-      // Fall back to packaged app in dist/
-      const projectRoot = path.dirname(__dirname);
-      const arch = process.arch === 'arm64' ? 'mac-arm64' : 'mac';
-      appPath = path.join(projectRoot, 'dist', arch, 'System Resilient App.app', 'Contents', 'MacOS', 'System Resilient App');
-      
-      if (!fs.existsSync(appPath)) {
-        throw new Error(`Packaged app not found. Please run 'npm run build:mac' first, or install to /Applications/.`);
-      }
-      console.log(`🎯 Using packaged app from dist/`);
-    }
-    
-    console.log(`📍 App path: ${appPath}`);
-    
-    const homedir = os.homedir();
-    const launchAgentsDir = path.join(homedir, 'Library', 'LaunchAgents');
-    const plistPath = path.join(launchAgentsDir, 'com.example.systemresilientapp.plist');
-
-    // Ensure LaunchAgents directory exists
-    if (!fs.existsSync(launchAgentsDir)) {
-      fs.mkdirSync(launchAgentsDir, { recursive: true });
-    }
-
-    // Create LaunchAgent plist with RunAtLoad and KeepAlive
-    const plistContent = `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" 
-  "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0">
-<dict>
-    <key>Label</key>
-    <string>com.example.systemresilientapp</string>
-
-    <key>ProgramArguments</key>
-    <array>
-        <string>${appPath}</string>
-    </array>
-
-    <key>RunAtLoad</key>
-    <true/>
-
-    <key>KeepAlive</key>
-    <dict>
-        <key>SuccessfulExit</key>
-        <false/>
-    </dict>
-
-    <key>ThrottleInterval</key>
-    <integer>5</integer>
-
-    <key>StandardOutPath</key>
-    <string>/tmp/resilient_app.log</string>
-    <key>StandardErrorPath</key>
-    <string>/tmp/resilient_app_error.log</string>
-
-    <key>EnvironmentVariables</key>
-    <dict>
-        <key>LAUNCH_AGENT_RESTART</key>
-        <string>1</string>
-    </dict>
-</dict>
-</plist>`;
+    // In development process.execPath is the bare Electron binary, which
+    // needs the app directory to run this app
+    const serviceManager = new ServiceManager({
+      appPath: this.platform === 'darwin' ? null : process.execPath,
+      appArgs: process.defaultApp ? [app.getAppPath()] : [],
+      throttleIntervalSec: this.settings.get('restart.throttleIntervalSec'),
+      stdoutLog: this.settings.get('paths.serviceStdoutLog'),
+      stderrLog: this.settings.get('paths.serviceStderrLog')
+    });
 
     try {
-      fs.writeFileSync(plistPath, plistContent);
-      console.log('✅ LaunchAgent plist created (will auto-relaunch on exit)');
-
-      // Load the LaunchAgent into launchd
-      return new Promise((resolve, reject) => {
-        exec(`launchctl load "${plistPath}"`, (error, stdout, stderr) => {
-          if (error) {
-            console.error('⚠️ Failed to load LaunchAgent:', error);
-            reject(error);
-          } else {
-            console.log('✅ LaunchAgent loaded successfully');
-            resolve();
-          }
-        });
+      const { appPath, actions } = await serviceManager.install();
+      restartLog.info(`🔄 Restart mechanism installed for ${appPath}`);
+      actions.filter(action => !action.skipped).forEach(action => {
+        if (action.ok) {
+          restartLog.debug(`${action.type} ${action.target}`);
+        } else {
+          // e.g. systemd unavailable, handled by the autostart fallback
+          restartLog.warn(`⚠️ ${action.type} ${action.target} failed: ${action.error}`);
+        }
       });
+      this.restartMechanismSetup = true;
     } catch (error) {
-      console.error('⚠️ Error creating LaunchAgent plist:', error);
-      throw error;
+      restartLog.error('Failed to setup restart mechanism:', error);
     }
   }
 
@@ -471,18 +458,18 @@ if "%ERRORLEVEL%"=="0" (
     try {
       // Check if app already exists in Applications
       if (fs.existsSync(targetAppPath)) {
-        console.log('📁 App already exists in /Applications/');
+        restartLog.info('📁 App already exists in /Applications/');
         return targetAppPath;
       }
       
       // Copy the app to /Applications/
-      console.log('📁 Installing app to /Applications/...');
+      restartLog.info('📁 Installing app to /Applications/...');
       await new Promise((resolve, reject) => {
         exec(`cp -R "${sourceAppPath}" "/Applications/"`, (error) => {
           if (error) {
             reject(error);
           } else {
-            console.log('✅ App installed to /Applications/System Resilient App.app');
+            restartLog.info('✅ App installed to /Applications/System Resilient App.app');
             resolve();
           }
         });
@@ -490,33 +477,11 @@ if "%ERRORLEVEL%"=="0" (
       
       return targetAppPath;
     } catch (error) {
-      console.error('⚠️ Failed to install app to /Applications/:', error);
+      restartLog.error('⚠️ Failed to install app to /Applications/:', error);
       throw error;
     }
   }
 
-  unloadLaunchAgent() {
-    const homedir = os.homedir();
-    const plistPath = path.join(homedir, 'Library', 'LaunchAgents', 'com.example.systemresilientapp.plist');
-    
-    if (fs.existsSync(plistPath)) {
-      exec(`launchctl unload "${plistPath}"`, (error) => {
-        if (error) {
-          console.error('⚠️ Failed to unload LaunchAgent:', error);
-        } else {
-          console.log('✅ LaunchAgent unloaded successfully');
-          // Also remove the plist file
-          try {
-            fs.unlinkSync(plistPath);
-            console.log('✅ LaunchAgent plist file removed');
-          } catch (removeError) {
-            console.error('⚠️ Failed to remove plist file:', removeError);
-          }
-        }
-      });
-    }
-  }
-
   setupTray() {
     try {
       // Try different icon formats and paths
@@ -528,11 +493,11 @@ if "%ERRORLEVEL%"=="0" (
           const fileBuffer = fs.readFileSync(iconPath);
           // Check if it's actually a PNG by looking at the magic bytes
           if (fileBuffer.length < 8 || !fileBuffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
-            console.log('⚠️ Icon file exists but is not a valid PNG');
+            trayLog.warn('⚠️ Icon file exists but is not a valid PNG');
             iconPath = null;
           }
         } catch (error) {
-          console.log('⚠️ Could not validate icon file');
+          trayLog.warn('⚠️ Could not validate icon file');
           iconPath = null;
         }
       }
@@ -549,62 +514,106 @@ if "%ERRORLEVEL%"=="0" (
         iconPath = alternatives.find(p => p && fs.existsSync(p));
         
                  if (!iconPath) {
-           console.log('⚠️ No valid tray icon found');
-           console.log('📍 Tray disabled - continuing without tray icon');
+           trayLog.warn('⚠️ No valid tray icon found');
+           trayLog.info('📍 Tray disabled - continuing without tray icon');
            return;
          }
       }
 
-      console.log(`📍 Using tray icon: ${iconPath}`);
+      trayLog.info(`📍 Using tray icon: ${iconPath}`);
       this.tray = new Tray(iconPath);
-      
-      const contextMenu = Menu.buildFromTemplate([
-        {
-          label: 'Show App',
-          click: () => {
-            this.showUI();
-          }
-        },
-        {
-          label: 'Hide App',
-          click: () => {
-            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-              this.mainWindow.hide();
-            }
-          }
-        },
-        { type: 'separator' },
-        {
-          label: 'Force Quit',
-          click: () => {
-            this.isQuitting = true;
-            this.isManualQuit = true; // Mark as manual quit for proper exit code
-            console.log('🛑 Force quit via tray');
-            app.quit();
-          }
-        }
-      ]);
-
-      this.tray.setToolTip('System Resilient App');
-      this.tray.setContextMenu(contextMenu);
+      this.updateTray();
       
       // Double-click to show app
       this.tray.on('double-click', () => {
         this.showUI();
       });
 
-      console.log('✅ Tray icon created');
+      // Headless, the tray is the only UI, so it follows jobs, safe mode
+      // and settings as they change
+      this.jobManager.on('job-updated', () => this.scheduleTrayUpdate());
+      this.jobManager.on('job-progress', () => this.scheduleTrayUpdate());
+      this.settings.on('change', () => this.scheduleTrayUpdate());
+      setInterval(() => this.updateTray(), TRAY_REFRESH_INTERVAL_MS).unref();
+
+      trayLog.info('✅ Tray icon created');
+    } catch (error) {
+      trayLog.error('⚠️ Failed to create tray icon:', error.message);
+      trayLog.info('📍 Continuing without tray - app functionality not affected');
+    }
+  }
+
+  // Rebuild the tray menu and tooltip from the current state
+  updateTray() {
+    clearTimeout(this.trayUpdateTimer);
+    this.trayUpdateTimer = null;
+    if (!this.tray || this.tray.isDestroyed()) return;
+
+    const state = {
+      jobs: this.jobManager.listJobs().filter(job => !FINISHED_STATES.includes(job.state)),
+      recentRuns: this.runHistory.getRuns(5),
+      uptimeSec: Math.round(process.uptime()),
+      restartCount: this.restartLedger.getRestartCount(),
+      autoRestart: this.settings.get('restart.autoRestart') === 'on',
+      safeMode: this.safeMode,
+      windowVisible: this.getHeartbeatStatus().windowVisible
+    };
+    try {
+      this.tray.setContextMenu(Menu.buildFromTemplate(buildTrayTemplate(state, {
+        show: () => this.showUI(),
+        hide: () => {
+          if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+            this.mainWindow.hide();
+          }
+        },
+        startTask: () => this.startTaskFromTray(),
+        cancelJob: (jobId) => this.jobManager.cancel(jobId),
+        cancelAll: () => this.jobManager.cancelAll(),
+        setAutoRestart: (enabled) => this.setAutoRestart(enabled),
+        forceQuit: () => this.forceQuit('tray')
+      })));
+      this.tray.setToolTip(formatTooltip(state));
+    } catch (error) {
+      trayLog.error('⚠️ Failed to update tray menu:', error.message);
+    }
+  }
+
+  // Progress arrives several times a second per job; coalesce the rebuilds
+  scheduleTrayUpdate() {
+    if (!this.trayUpdateTimer) {
+      this.trayUpdateTimer = setTimeout(() => this.updateTray(), TRAY_UPDATE_INTERVAL_MS);
+    }
+  }
+
+  // With the default task options from the settings
+  startTaskFromTray() {
+    try {
+      const job = this.submitTask({});
+      trayLog.info(`📍 Queued ${job.id} from tray`);
     } catch (error) {
-      console.error('⚠️ Failed to create tray icon:', error.message);
-      console.log('📍 Continuing without tray - app functionality not affected');
+      trayLog.warn('⚠️ Could not start task from tray:', error.message);
     }
   }
 
+  setAutoRestart(enabled) {
+    const { errors } = this.settings.set({ 'restart.autoRestart': enabled ? 'on' : 'off' });
+    if (errors && errors.length > 0) {
+      trayLog.warn('⚠️ Could not change auto-restart:', errors.join('; '));
+    }
+    this.updateTray();
+  }
+
+  // Safe mode overrides the setting
+  isAutoRestartEnabled() {
+    return !this.safeMode && this.settings.get('restart.autoRestart') === 'on';
+  }
+
   showUI() {
-    console.log('📱 Showing UI...');
+    windowLog.info('📱 Showing UI...');
     
     // Exit headless mode
     this.isHeadlessMode = false;
+    this.startHeadless = false;
     delete process.env.LAUNCH_AGENT_RESTART;
     
     // Show dock icon
@@ -616,7 +625,7 @@ if "%ERRORLEVEL%"=="0" (
     if (!this.mainWindow || this.mainWindow.isDestroyed()) {
       // Prevent multiple simultaneous window creation
       if (this.isCreatingWindow) {
-        console.log('⏳ Window creation already in progress...');
+        windowLog.info('⏳ Window creation already in progress...');
         return;
       }
       this.createWindow();
@@ -625,108 +634,170 @@ if "%ERRORLEVEL%"=="0" (
       this.mainWindow.focus();
     }
     
-    console.log('✅ UI should now be visible');
+    windowLog.info('✅ UI should now be visible');
+  }
+
+  // Back to tray only, like a headless start; showUI() brings the window back
+  hideUI() {
+    windowLog.info('🙈 Hiding UI...');
+    this.isHeadlessMode = true;
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.hide();
+    }
+    if (app.dock) {
+      app.dock.hide();
+    }
   }
 
 
 
-  async setupLinuxRestart() {
-    const appPath = process.execPath;
-    const serviceName = 'system-resilient-app';
-    
-    // Create systemd user service
-    const serviceContent = `[Unit]
-Description=System Resilient App
-After=graphical-session.target
+  setupIPC() {
+    ipcMain.handle('start-heavy-task', async (event, options) => {
+      let job;
+      try {
+        job = this.submitTask(options);
+      } catch (error) {
+        if (error instanceof TaskOptionsError) {
+          ipcLog.warn('⚠️ Rejected heavy task options:', error.errors.join('; '));
+        }
+        return { success: false, error: error.message, validationErrors: error.errors };
+      }
 
-[Service]
-Type=simple
-ExecStart=${appPath}
-Restart=always
-RestartSec=5
-Environment=DISPLAY=:0
+      // Resolves once the job has finished
+      const finished = await this.jobManager.waitForJob(job.id);
+      return { ...finished.result, jobId: finished.id, state: finished.state };
+    });
+
+    ipcMain.handle('cancel-heavy-task', (event, jobId) => {
+      if (jobId) {
+        return { cancelled: this.jobManager.cancel(jobId) ? 1 : 0 };
+      }
+      return { cancelled: this.jobManager.cancelAll() };
+    });
 
-[Install]
-WantedBy=default.target`;
+    ipcMain.handle('get-task-registry', () => {
+      return describeTasks(this.settings.getTaskDefaults());
+    });
 
-    const systemdDir = path.join(os.homedir(), '.config', 'systemd', 'user');
-    const servicePath = path.join(systemdDir, `${serviceName}.service`);
+    // A file to read, e.g. a dataset for the stream stage; null if cancelled
+    ipcMain.handle('pick-file', async () => {
+      const { canceled, filePaths } = await dialog.showOpenDialog(this.mainWindow, { properties: ['openFile'] });
+      return canceled || filePaths.length === 0 ? null : filePaths[0];
+    });
 
-    try {
-      if (!fs.existsSync(systemdDir)) {
-        fs.mkdirSync(systemdDir, { recursive: true });
+    ipcMain.handle('get-settings', () => {
+      return this.settings.describe();
+    });
+
+    ipcMain.handle('set-settings', (event, patch) => {
+      return this.settings.set(patch);
+    });
+
+    ipcMain.handle('list-jobs', () => {
+      return this.jobManager.listJobs();
+    });
+
+    ipcMain.handle('get-job', (event, jobId) => {
+      return this.jobManager.getJob(jobId);
+    });
+
+    this.jobManager.on('job-updated', (job) => {
+      this.sendToRenderer('job-updated', job);
+    });
+
+    this.jobManager.on('job-progress', (job, progress) => {
+      this.sendToRenderer('heavy-task-progress', progress);
+    });
+
+    // Worker stdout/stderr goes to logs/jobs/<jobId>.log
+    this.jobManager.on('job-output', (job, stream, text) => {
+      if (!this.jobLogs.has(job.id)) {
+        this.jobLogs.set(job.id, logger.createJobLog(job.id));
       }
-      
-      fs.writeFileSync(servicePath, serviceContent);
-      
-      // Enable and start the service
-      exec(`systemctl --user daemon-reload && systemctl --user enable ${serviceName} && systemctl --user start ${serviceName}`, (error) => {
-        if (error) {
-          console.error('Failed to setup Linux systemd service:', error);
-          // Fallback to autostart desktop entry
-          this.setupLinuxAutostart();
+      this.jobLogs.get(job.id).write(stream, text);
+    });
+
+    // Finished runs, with their stage results, go into the run history
+    this.jobManager.on('job-updated', (job) => {
+      if (FINISHED_STATES.includes(job.state)) {
+        if (this.jobLogs.has(job.id)) {
+          this.jobLogs.get(job.id).flush();
+          this.jobLogs.delete(job.id);
         }
-      });
-    } catch (error) {
-      console.error('Failed to setup Linux restart mechanism:', error);
-      this.setupLinuxAutostart();
-    }
-  }
+        this.sendToRenderer('run-recorded', this.runHistory.record(job));
+      }
+    });
 
-  setupLinuxAutostart() {
-    const appPath = process.execPath;
-    const desktopEntry = `[Desktop Entry]
-Type=Application
-Name=System Resilient App
-Exec=${appPath}
-Hidden=false
-NoDisplay=false
-X-GNOME-Autostart-enabled=true`;
+    // Desktop notifications for finished jobs (see notifications.js)
+    this.jobManager.on('job-updated', (job) => {
+      if (FINISHED_STATES.includes(job.state)) {
+        this.notifier.notifyJob(job);
+      }
+    });
 
-    const autostartDir = path.join(os.homedir(), '.config', 'autostart');
-    const desktopPath = path.join(autostartDir, 'system-resilient-app.desktop');
+    // Responsiveness: live samples for the chart, renderer samples back
+    this.responsiveness.on('sample', (sample) => {
+      this.sendToRenderer('responsiveness-sample', sample);
+    });
 
-    try {
-      if (!fs.existsSync(autostartDir)) {
-        fs.mkdirSync(autostartDir, { recursive: true });
+    ipcMain.handle('report-responsiveness', (event, sample) => {
+      this.responsiveness.recordRendererSample(sample);
+    });
+
+    // Checkpoints: a run is tracked from being queued until it finishes
+    this.jobManager.on('job-updated', (job) => {
+      if (job.state === JOB_STATES.QUEUED) {
+        this.checkpoints.add(job);
+        if (job.resumedFrom) {
+          this.sendToRenderer('interrupted-runs-changed', this.getInterruptedRuns());
+        }
+      } else if (FINISHED_STATES.includes(job.state)) {
+        this.checkpoints.remove(job.id);
       }
-      
-      fs.writeFileSync(desktopPath, desktopEntry);
-    } catch (error) {
-      console.error('Failed to setup Linux autostart:', error);
-    }
-  }
+    });
 
-  setupIPC() {
-    ipcMain.handle('start-heavy-task', async () => {
-      return new Promise((resolve) => {
-        // Start CPU-intensive task in a separate process
-        const workerPath = path.join(__dirname, 'worker.js');
-        
-        // Use Electron's node executable for consistency
-        const worker = spawn(process.execPath, [workerPath], {
-          stdio: 'pipe',
-          env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' }
-        });
+    ipcMain.handle('list-interrupted-runs', () => {
+      return this.getInterruptedRuns();
+    });
 
-        worker.stdout.on('data', (data) => {
-          console.log('Worker output:', data.toString());
-        });
+    ipcMain.handle('resume-run', (event, runId) => {
+      try {
+        return { success: true, job: this.resumeRun(runId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
 
-        worker.stderr.on('data', (data) => {
-          console.error('Worker error:', data.toString());
-        });
+    ipcMain.handle('discard-run', (event, runId) => {
+      try {
+        return { success: true, run: this.discardRun(runId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
 
-        worker.on('close', (code) => {
-          console.log(`Worker process exited with code ${code}`);
-          resolve({ success: true, code });
-        });
+    ipcMain.handle('get-run-history', () => {
+      return this.runHistory.getRuns();
+    });
 
-        worker.on('error', (error) => {
-          console.error('Worker spawn error:', error);
-          resolve({ success: false, error: error.message });
-        });
-      });
+    ipcMain.handle('clear-run-history', () => {
+      this.runHistory.clear();
+    });
+
+    ipcMain.handle('get-logs', (event, filter) => {
+      return { entries: logger.getRecent(filter), components: logger.getComponents(), directory: logger.dir };
+    });
+
+    logger.on('entry', (entry) => {
+      this.sendToRenderer('log-entry', entry);
+    });
+
+    ipcMain.handle('get-safe-mode', () => {
+      return this.getSafeModeStatus();
+    });
+
+    ipcMain.handle('clear-safe-mode', () => {
+      return this.clearSafeMode();
     });
 
     ipcMain.handle('get-platform', () => {
@@ -734,45 +805,360 @@ X-GNOME-Autostart-enabled=true`;
     });
 
     ipcMain.handle('force-quit', () => {
-      this.isQuitting = true;
-      this.isManualQuit = true; // Mark as manual quit for proper exit code
-      console.log('🛑 Force quit initiated via UI button - ONLY way to exit app');
-      app.quit(); // This is the ONLY way the app should exit
+      this.forceQuit('UI button');
+    });
+  }
+
+  // The backend is read per job, so a change applies to the next one started
+  createRunner(job) {
+    const options = {
+      taskOptions: job.options,
+      graceMs: this.settings.get('jobs.cancelGracePeriodMs'),
+      log: logger.child(`worker:${job.id}`)
+    };
+    // A resumed run skips the stages it completed and continues the one it
+    // was in from its checkpoint
+    const run = this.checkpoints.get(job.id);
+    if (run && (run.stages.length > 0 || run.checkpoint)) {
+      options.resume = { stages: run.stages, checkpoint: run.checkpoint };
+    }
+    const runner = this.settings.get('jobs.backend') === 'thread'
+      ? new ThreadRunner({ ...options, pool: this.threadPool })
+      : new WorkerRunner(options);
+
+    runner.on('stage-result', (stageResult) => this.checkpoints.recordStage(job.id, stageResult));
+    runner.on('checkpoint', ({ stage, state }) => this.checkpoints.recordCheckpoint(job.id, stage, state));
+
+    // Registered before JobManager's own exit listener, so the figures are
+    // part of the job result it stores and reports
+    this.responsiveness.track(job.id);
+    runner.once('exit', (result) => {
+      result.responsiveness = this.responsiveness.untrack(job.id);
+    });
+    return runner;
+  }
+
+  // Queue a heavy task run. Bad parameters are rejected here (TaskOptionsError)
+  // instead of spawning a worker that fails.
+  submitTask(options, { resumedFrom = null } = {}) {
+    if (this.safeMode) {
+      throw new Error('Workers are disabled in safe mode - clear safe mode first');
+    }
+    const taskOptions = validateTaskOptions(options || {}, {
+      checkPaths: true,
+      defaults: this.settings.getTaskDefaults()
+    });
+    return this.jobManager.submit(taskOptions, { resumedFrom });
+  }
+
+  // Checkpointed runs no job of this instance owns: the previous instance
+  // went away while they were queued or running
+  getInterruptedRuns() {
+    return this.checkpoints.list().filter(run => !this.jobManager.getJob(run.id));
+  }
+
+  getInterruptedRun(runId) {
+    const run = this.getInterruptedRuns().find(entry => entry.id === runId);
+    if (!run) {
+      throw new Error(`Unknown interrupted run: ${runId}`);
+    }
+    return run;
+  }
+
+  // Queue an interrupted run again with its original options. The new job
+  // takes over its checkpoint (see CheckpointStore.add).
+  resumeRun(runId) {
+    const run = this.getInterruptedRun(runId);
+    const job = this.submitTask(run.options, { resumedFrom: run.id });
+    const completed = run.stages.map(entry => entry.stage);
+    resumeLog.info(`⏯️ Resuming ${run.id} as ${job.id}${completed.length > 0 ? ` - skipping ${completed.join(', ')}` : ''}${run.checkpoint ? ` - ${run.checkpoint.stage} from its checkpoint` : ''}`);
+    return job;
+  }
+
+  // Forget an interrupted run, and remove the data file it left half written
+  discardRun(runId) {
+    const run = this.checkpoints.remove(this.getInterruptedRun(runId).id);
+    const partialFile = run.checkpoint && run.checkpoint.stage === 'file' ? run.checkpoint.state.filePath : null;
+    if (partialFile) {
+      try {
+        fs.unlinkSync(partialFile);
+        resumeLog.info(`🧹 Removed partial file ${partialFile}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          resumeLog.warn('⚠️ Could not remove partial file:', error.message);
+        }
+      }
+    }
+    resumeLog.info(`🗑️ Discarded interrupted run ${run.id}`);
+    this.sendToRenderer('interrupted-runs-changed', this.getInterruptedRuns());
+    return run;
+  }
+
+  // Commands for resilient-ctl and other local scripts
+  setupControlSocket() {
+    this.controlServer = new ControlServer({
+      socketPath: this.settings.get('paths.controlSocket'),
+      handlers: {
+        status: () => this.getStatus(),
+        show: () => {
+          this.showUI();
+          return this.getHeartbeatStatus();
+        },
+        hide: () => {
+          this.hideUI();
+          return this.getHeartbeatStatus();
+        },
+        // { stages, params, limits } as in the UI; wait: true resolves once the job has finished
+        'start-task': ({ wait = false, ...options }) => {
+          const job = this.submitTask(options);
+          controlLog.info(`🎛️ Queued ${job.id} from control socket`);
+          return wait ? this.jobManager.waitForJob(job.id) : job;
+        },
+        // Without a jobId every queued and running job is cancelled
+        'cancel-task': ({ jobId }) => {
+          if (jobId) {
+            if (!this.jobManager.getJob(jobId)) {
+              throw new Error(`Unknown job: ${jobId}`);
+            }
+            return { cancelled: this.jobManager.cancel(jobId) ? 1 : 0 };
+          }
+          return { cancelled: this.jobManager.cancelAll() };
+        },
+        'list-jobs': () => this.jobManager.listJobs(),
+        'list-interrupted': () => this.getInterruptedRuns(),
+        'resume-task': ({ runId }) => {
+          const job = this.resumeRun(runId);
+          controlLog.info(`🎛️ Resumed ${runId} as ${job.id} from control socket`);
+          return job;
+        },
+        'discard-task': ({ runId }) => this.discardRun(runId),
+        quit: (params, context) => {
+          context.afterResponse(() => this.forceQuit('control socket'));
+          return { quitting: true };
+        }
+      }
+    });
+    this.controlServer.start().catch((error) => {
+      controlLog.error('⚠️ Control socket unavailable:', error.message);
+      this.controlServer = null;
+    });
+  }
+
+  getStatus() {
+    const jobs = {};
+    this.jobManager.listJobs().forEach((job) => {
+      jobs[job.state] = (jobs[job.state] || 0) + 1;
+    });
+    return {
+      pid: process.pid,
+      version: app.getVersion(),
+      platform: this.platform,
+      uptimeSec: Math.round(process.uptime()),
+      ...this.getHeartbeatStatus(),
+      safeMode: this.safeMode,
+      jobs
+    };
+  }
+
+  // Force Quit is the ONLY way the app should exit (with code 0)
+  forceQuit(source) {
+    this.isQuitting = true;
+    this.isManualQuit = true; // Mark as manual quit for proper exit code
+    lifecycleLog.info(`🛑 Force quit initiated via ${source}`);
+
+    // Tell heartbeat_monitor.sh this was intentional, then stop beating
+    try {
+      fs.writeFileSync(this.settings.get('paths.quitSignalFile'), JSON.stringify({ timestamp: Date.now(), pid: process.pid, source }));
+    } catch (error) {
+      lifecycleLog.error('Failed to write quit signal:', error);
+    }
+    this.heartbeat.remove();
+
+    app.quit();
+  }
+
+  getHeartbeatStatus() {
+    const hasWindow = this.mainWindow && !this.mainWindow.isDestroyed();
+    return {
+      headless: this.isHeadlessMode,
+      windowVisible: Boolean(hasWindow && this.mainWindow.isVisible()),
+      activeWorkers: this.jobManager.getActiveCount()
+    };
+  }
+
+  // Apply settings that can change at runtime and keep the renderer in sync.
+  // Everything else is read where it is used, or at startup.
+  setupSettingsReload() {
+    this.settings.on('change', (changes) => {
+      if (changes['jobs.concurrency'] !== undefined) {
+        this.jobManager.setConcurrency(changes['jobs.concurrency']);
+        this.threadPool.setMaxIdle(changes['jobs.concurrency']);
+      }
+      if (changes['heartbeat.intervalMs'] !== undefined) {
+        this.heartbeat.setInterval(changes['heartbeat.intervalMs']);
+      }
+      if (changes['restart.autoRestart'] === 'on' && this.isAutoRestartEnabled()) {
+        this.setupRestartMechanism();
+      }
+      if (changes['restart.autoRestart'] !== undefined) {
+        restartLog.info(`🔄 Auto-restart ${changes['restart.autoRestart']}`);
+      }
+      if (changes['history.maxRuns'] !== undefined) {
+        this.runHistory.setMaxRuns(changes['history.maxRuns']);
+      }
+      if (changes['logging.level'] !== undefined) {
+        logger.setLevel(changes['logging.level']);
+      }
+      logger.setRotation({
+        maxFileSizeMB: this.settings.get('logging.maxFileSizeMB'),
+        maxFiles: this.settings.get('logging.maxFiles'),
+        maxJobLogs: this.settings.get('logging.maxJobLogs')
+      });
+      this.sendToRenderer('settings-changed', this.settings.describe());
     });
+    this.settings.watch();
+  }
+
+  showNotification({ title, body, target }) {
+    if (!Notification.isSupported()) return;
+    const notification = new Notification({ title, body });
+    notification.on('click', () => this.focusInWindow(target));
+    notification.on('close', () => this.notifications.delete(notification));
+    this.notifications.add(notification);
+    notification.show();
+  }
+
+  // Show the window on the run or log a notification is about
+  focusInWindow(target) {
+    this.showUI();
+    if (this.mainWindow && !this.mainWindow.isDestroyed() && !this.mainWindow.webContents.isLoading()) {
+      this.sendToRenderer('focus-target', target);
+    } else {
+      this.pendingFocus = target;
+    }
+  }
+
+  // Send an event to the renderer if a window is available (not in headless mode)
+  sendToRenderer(channel, payload) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, payload);
+    }
   }
 
   // Clean up running marker
   cleanupRunningMarker() {
-    const runningMarker = '/tmp/resilient_app_running.marker';
+    const runningMarker = this.settings.get('paths.runningMarker');
     try {
       if (fs.existsSync(runningMarker)) {
         fs.unlinkSync(runningMarker);
-        console.log('🧹 Cleaned up running marker');
+        restartLog.info('🧹 Cleaned up running marker');
       }
     } catch (error) {
-      console.log('⚠️ Could not cleanup running marker:', error.message);
+      restartLog.warn('⚠️ Could not cleanup running marker:', error.message);
+    }
+  }
+
+  // Record this start in the restart ledger and enter safe mode if the
+  // app keeps restarting (or was already in safe mode when it went down)
+  recordStartup() {
+    const entry = this.restartLedger.recordStart({ viaLaunchAgent: this.viaLaunchAgent });
+    this.startupEntry = entry;
+    restartLog.info(`📒 Start recorded - previous run: ${entry.reason}${entry.exitCode !== null ? ` (exit ${entry.exitCode})` : ''}`);
+
+    const maxRestarts = this.settings.get('restart.crashLoopMaxRestarts');
+    const windowSec = this.settings.get('restart.crashLoopWindowSec');
+
+    if (this.restartLedger.getSafeMode()) {
+      this.safeMode = this.restartLedger.getSafeMode();
+    } else if (this.restartLedger.isCrashLooping({ maxRestarts, windowSec })) {
+      this.safeMode = this.restartLedger.enterSafeMode(`${maxRestarts} or more restarts within ${windowSec} seconds`);
+    }
+
+    if (this.safeMode) {
+      restartLog.info(`🧯 Safe mode active (${this.safeMode.reason}) - auto-restart and workers disabled`);
+    }
+  }
+
+  getSafeModeStatus() {
+    return {
+      active: Boolean(this.safeMode),
+      ...(this.safeMode || {}),
+      history: this.restartLedger.getEntries(10)
+    };
+  }
+
+  // "Clear and resume": leave safe mode and re-enable auto-restart
+  clearSafeMode() {
+    if (!this.safeMode) return this.getSafeModeStatus();
+
+    restartLog.info('🧯 Leaving safe mode - auto-restart and workers enabled again');
+    this.restartLedger.clearSafeMode();
+    this.safeMode = null;
+    if (this.isAutoRestartEnabled()) {
+      this.setupRestartMechanism();
     }
+
+    const status = this.getSafeModeStatus();
+    this.sendToRenderer('safe-mode-changed', status);
+    this.updateTray();
+    return status;
+  }
+
+  handleCrash(reason, error) {
+    if (this.safeMode) {
+      // Stay up so the safe mode window can explain what went wrong
+      restartLog.info('🧯 Safe mode - not restarting after', reason);
+      return;
+    }
+    if (!this.isAutoRestartEnabled()) {
+      restartLog.info('⏸️ Auto-restart off - not restarting after', reason);
+      return;
+    }
+    this.restartLedger.recordExit({ reason, exitCode: this.underSystemd ? 1 : 0, error });
+    this.restartApp();
+  }
+
+  // Release what must not be lost or left behind on exit. app.exit() skips
+  // will-quit, so restartApp() calls this itself.
+  stopServices() {
+    if (this.controlServer) {
+      this.controlServer.stop();
+      this.controlServer = null;
+    }
+    this.responsiveness.stop();
+    this.checkpoints.flush();
   }
 
   restartApp() {
     setTimeout(() => {
-      app.relaunch();
+      this.stopServices();
+      if (this.underSystemd) {
+        // A relaunched copy would be killed with the unit's cgroup once we
+        // exit; fail instead and let Restart=on-failure start us again
+        restartLog.info('🔄 Exiting with 1 - systemd will restart app');
+        this.isQuitting = true;
+        app.exit(1);
+        return;
+      }
+      // Once the UI has been shown, come back with a window
+      const args = process.argv.slice(1).filter(arg => arg !== '--headless' || this.startHeadless);
+      app.relaunch({ args });
       this.isQuitting = true;
       app.exit(0);
-    }, 1000);
+    }, this.settings.get('restart.relaunchDelayMs'));
   }
 
   // Check if this is a restart after being killed
   checkIfRestartAfterKill() {
-    const runningMarker = '/tmp/resilient_app_running.marker';
+    const runningMarker = this.settings.get('paths.runningMarker');
     const exists = fs.existsSync(runningMarker);
     if (exists) {
-      console.log('📍 Detected restart after kill - UI will be shown');
+      restartLog.info('📍 Detected restart after kill - UI will be shown');
       // Clean up the marker
       try {
         fs.unlinkSync(runningMarker);
       } catch (error) {
-        console.log('⚠️ Could not remove restart marker:', error.message);
+        restartLog.warn('⚠️ Could not remove restart marker:', error.message);
       }
     }
     return exists;
@@ -780,23 +1166,23 @@ X-GNOME-Autostart-enabled=true`;
 
   // Mark that the app is currently running
   markAppAsRunning() {
-    const runningMarker = '/tmp/resilient_app_running.marker';
+    const runningMarker = this.settings.get('paths.runningMarker');
     try {
       fs.writeFileSync(runningMarker, Date.now().toString());
     } catch (error) {
-      console.log('⚠️ Could not create running marker:', error.message);
+      restartLog.warn('⚠️ Could not create running marker:', error.message);
     }
   }
 
   cleanupQuitSignal() {
-    const signalFile = '/tmp/intentional_quit.signal';
+    const quitSignalFile = this.settings.get('paths.quitSignalFile');
     try {
-      if (fs.existsSync(signalFile)) {
-        fs.unlinkSync(signalFile);
-        console.log('🧹 Cleaned up previous quit signal');
+      if (fs.existsSync(quitSignalFile)) {
+        fs.unlinkSync(quitSignalFile);
+        lifecycleLog.info('🧹 Cleaned up previous quit signal');
       }
     } catch (error) {
-      console.error('Failed to cleanup quit signal:', error);
+      lifecycleLog.error('Failed to cleanup quit signal:', error);
     }
   }
 }
@@ -0,0 +1,166 @@
+// Desktop notifications for finished jobs, crash recovery and safe mode.
+// Decides what to say and whether to say it; main.js shows them with
+// Electron's Notification, so this module does not depend on Electron.
+const { JOB_STATES } = require('./job-manager');
+const { formatDuration } = require('./tray-menu');
+const { logger } = require('./logger');
+
+const log = logger.child('notify');
+
+// Category -> the setting that turns it on or off
+const CATEGORY_SETTINGS = {
+  jobSucceeded: 'notifications.jobSucceeded',
+  jobFailed: 'notifications.jobFailed',
+  jobCancelled: 'notifications.jobCancelled',
+  recovery: 'notifications.recovery',
+  safeMode: 'notifications.safeMode'
+};
+
+// Longest error text in a notification body
+const MAX_ERROR_LENGTH = 200;
+
+// Cancellations less than this apart, e.g. from Cancel All, share one notification
+const CANCEL_BATCH_MS = 1000;
+
+// How the previous run ended (see RestartLedger.recordStart) -> title
+const RECOVERY_TITLES = {
+  killed: 'Restarted after being killed',
+  'external-quit': 'Restarted after being quit'
+};
+
+// Quiet hours run from `start` up to `end` (whole hours, local time) and
+// may wrap past midnight; equal hours mean all day
+function isQuietHour(date, start, end) {
+  const hour = date.getHours();
+  if (start === end) return true;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+function firstLine(text) {
+  const line = String(text).split('\n')[0];
+  return line.length > MAX_ERROR_LENGTH ? `${line.slice(0, MAX_ERROR_LENGTH)}…` : line;
+}
+
+/**
+ * Notification for a finished job snapshot, or null for one still running.
+ * Notifications are { category, title, body, target } where target says
+ * what a click opens: { type: 'job', jobId } or { type: 'log', component }.
+ */
+function describeJob(job) {
+  const stages = job.options.stages.join(', ');
+  const duration = job.durationMs !== null ? formatDuration(job.durationMs) : null;
+  const target = { type: 'job', jobId: job.id };
+  switch (job.state) {
+    case JOB_STATES.SUCCEEDED:
+      return { category: 'jobSucceeded', title: 'Task finished', body: `${stages} completed in ${duration}`, target };
+    case JOB_STATES.FAILED:
+      return {
+        category: 'jobFailed',
+        title: 'Task failed',
+        body: `${stages} failed${duration ? ` after ${duration}` : ''}${job.error ? `: ${firstLine(job.error)}` : ''}`,
+        target
+      };
+    case JOB_STATES.CANCELLED:
+      return { category: 'jobCancelled', title: 'Task cancelled', body: `${stages} cancelled${duration ? ` after ${duration}` : ' before it started'}`, target };
+    default:
+      return null;
+  }
+}
+
+// One notification for jobs cancelled together; the click opens the last one
+function describeCancelled(jobs) {
+  if (jobs.length === 1) return describeJob(jobs[0]);
+  const notStarted = jobs.filter(job => job.durationMs === null).length;
+  const parts = [];
+  if (notStarted > 0) parts.push(`${notStarted} before they started`);
+  if (notStarted < jobs.length) parts.push(`${jobs.length - notStarted} while running`);
+  return {
+    category: 'jobCancelled',
+    title: `${jobs.length} tasks cancelled`,
+    body: `Cancelled ${parts.join(', ')}`,
+    target: { type: 'job', jobId: jobs[jobs.length - 1].id }
+  };
+}
+
+/**
+ * Notifications for this start: a recovery when the previous run crashed or
+ * was killed, and safe mode when the app is in it.
+ * @param {object} entry - this start's restart ledger entry
+ * @param {object|null} safeMode - { enteredAt, reason } while in safe mode
+ */
+function describeStartup(entry, safeMode) {
+  const notifications = [];
+  if (entry.restart) {
+    notifications.push({
+      category: 'recovery',
+      title: RECOVERY_TITLES[entry.reason] || 'Recovered from a crash',
+      body: entry.error ? `${entry.reason}: ${firstLine(entry.error)}` : `The previous run ended: ${entry.reason}`,
+      target: { type: 'log', component: 'restart' }
+    });
+  }
+  if (safeMode) {
+    notifications.push({
+      category: 'safeMode',
+      title: 'Safe mode',
+      body: `Auto-restart and workers are off: ${safeMode.reason}`,
+      target: { type: 'log', component: 'restart' }
+    });
+  }
+  return notifications;
+}
+
+class Notifier {
+  /**
+   * @param {object} options
+   * @param {object} options.settings - the app settings (see settings.js)
+   * @param {function} options.show - (notification) displays it
+   * @param {function} [options.now] - current time, for quiet hours
+   * @param {number} [options.cancelBatchMs] - how long to wait for more cancellations
+   */
+  constructor({ settings, show, now = () => new Date(), cancelBatchMs = CANCEL_BATCH_MS }) {
+    this.settings = settings;
+    this.show = show;
+    this.now = now;
+    this.cancelBatchMs = cancelBatchMs;
+    this.cancelledJobs = []; // Cancelled jobs waiting to be notified together
+    this.cancelTimer = null;
+  }
+
+  // Notifies a finished job snapshot. Cancellations wait until none has
+  // arrived for cancelBatchMs, so cancelling a long queue shows one notification.
+  notifyJob(job) {
+    if (job.state !== JOB_STATES.CANCELLED) {
+      this.notify(describeJob(job));
+      return;
+    }
+    this.cancelledJobs.push(job);
+    clearTimeout(this.cancelTimer);
+    this.cancelTimer = setTimeout(() => {
+      const jobs = this.cancelledJobs;
+      this.cancelledJobs = [];
+      this.cancelTimer = null;
+      this.notify(describeCancelled(jobs));
+    }, this.cancelBatchMs);
+  }
+
+  // Shows the notification unless its category is off or it is quiet
+  // hours; true if it was shown
+  notify(notification) {
+    if (!notification) return false;
+    if (this.settings.get(CATEGORY_SETTINGS[notification.category]) !== 'on') return false;
+    if (this.settings.get('notifications.quietHours') === 'on'
+      && isQuietHour(this.now(), this.settings.get('notifications.quietHoursStart'), this.settings.get('notifications.quietHoursEnd'))) {
+      log.debug(`🔕 Quiet hours - not showing "${notification.title}"`);
+      return false;
+    }
+    try {
+      this.show(notification);
+      return true;
+    } catch (error) {
+      log.warn('⚠️ Could not show notification:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = { Notifier, describeJob, describeCancelled, describeStartup };
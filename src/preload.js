@@ -1,7 +1,79 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  startHeavyTask: () => ipcRenderer.invoke('start-heavy-task'),
+  // options: { stages: [...], params: { <stage>: {...} } }; omitted means every stage with defaults
+  startHeavyTask: (options) => ipcRenderer.invoke('start-heavy-task', options),
+  getTaskRegistry: () => ipcRenderer.invoke('get-task-registry'),
+  // Shows an open-file dialog; resolves to the chosen path or null
+  pickFile: () => ipcRenderer.invoke('pick-file'),
+  // Cancels one job, or every queued/running job when called without an id
+  cancelHeavyTask: (jobId) => ipcRenderer.invoke('cancel-heavy-task', jobId),
+  listJobs: () => ipcRenderer.invoke('list-jobs'),
+  getJob: (jobId) => ipcRenderer.invoke('get-job', jobId),
+  onJobUpdated: (callback) => {
+    const listener = (_event, job) => callback(job);
+    ipcRenderer.on('job-updated', listener);
+    return () => ipcRenderer.removeListener('job-updated', listener);
+  },
+  // Subscribe to structured worker progress; returns an unsubscribe function
+  onHeavyTaskProgress: (callback) => {
+    const listener = (_event, progress) => callback(progress);
+    ipcRenderer.on('heavy-task-progress', listener);
+    return () => ipcRenderer.removeListener('heavy-task-progress', listener);
+  },
+  // Finished runs with their stage results, newest first
+  getRunHistory: () => ipcRenderer.invoke('get-run-history'),
+  clearRunHistory: () => ipcRenderer.invoke('clear-run-history'),
+  onRunRecorded: (callback) => {
+    const listener = (_event, run) => callback(run);
+    ipcRenderer.on('run-recorded', listener);
+    return () => ipcRenderer.removeListener('run-recorded', listener);
+  },
+  // Renderer responsiveness, sampled in index.html: { lagMs, frames, droppedFrames, inputEvents, inputLatencyMaxMs }
+  reportResponsiveness: (sample) => ipcRenderer.invoke('report-responsiveness', sample),
+  // Main process event-loop delay, once a second: { timestamp, meanMs, p99Ms, maxMs }
+  onResponsivenessSample: (callback) => {
+    const listener = (_event, sample) => callback(sample);
+    ipcRenderer.on('responsiveness-sample', listener);
+    return () => ipcRenderer.removeListener('responsiveness-sample', listener);
+  },
+  // Runs the previous instance left unfinished; resume continues from their checkpoint
+  listInterruptedRuns: () => ipcRenderer.invoke('list-interrupted-runs'),
+  resumeRun: (runId) => ipcRenderer.invoke('resume-run', runId),
+  discardRun: (runId) => ipcRenderer.invoke('discard-run', runId),
+  onInterruptedRunsChanged: (callback) => {
+    const listener = (_event, runs) => callback(runs);
+    ipcRenderer.on('interrupted-runs-changed', listener);
+    return () => ipcRenderer.removeListener('interrupted-runs-changed', listener);
+  },
+  // A clicked notification: { type: 'job', jobId } or { type: 'log', component }
+  onFocusTarget: (callback) => {
+    const listener = (_event, target) => callback(target);
+    ipcRenderer.on('focus-target', listener);
+    return () => ipcRenderer.removeListener('focus-target', listener);
+  },
+  getSafeMode: () => ipcRenderer.invoke('get-safe-mode'),
+  clearSafeMode: () => ipcRenderer.invoke('clear-safe-mode'),
+  onSafeModeChanged: (callback) => {
+    const listener = (_event, status) => callback(status);
+    ipcRenderer.on('safe-mode-changed', listener);
+    return () => ipcRenderer.removeListener('safe-mode-changed', listener);
+  },
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  // patch: { '<key>': value }; resolves to { ok, errors, restartRequired }
+  setSettings: (patch) => ipcRenderer.invoke('set-settings', patch),
+  onSettingsChanged: (callback) => {
+    const listener = (_event, settings) => callback(settings);
+    ipcRenderer.on('settings-changed', listener);
+    return () => ipcRenderer.removeListener('settings-changed', listener);
+  },
+  // filter: { level, component, limit }; resolves to { entries, components, directory }
+  getLogs: (filter) => ipcRenderer.invoke('get-logs', filter),
+  onLogEntry: (callback) => {
+    const listener = (_event, entry) => callback(entry);
+    ipcRenderer.on('log-entry', listener);
+    return () => ipcRenderer.removeListener('log-entry', listener);
+  },
   getPlatform: () => ipcRenderer.invoke('get-platform'),
   forceQuit: () => ipcRenderer.invoke('force-quit')
 }); 
\ No newline at end of file
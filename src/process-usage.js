@@ -0,0 +1,69 @@
+// Samples memory and CPU usage of another process by pid
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+
+// /proc reports CPU times in USER_HZ, which Linux fixes at 100 for userspace
+const LINUX_CLOCK_TICKS = 100;
+
+/**
+ * Resolves with { rssBytes, cpuSeconds } for the given pid, or null when
+ * the process is gone or the platform has no cheap way to sample it
+ * (Windows - callers fall back to the worker's own usage reports there).
+ */
+function sampleProcessUsage(pid) {
+  switch (os.platform()) {
+    case 'linux':
+      return Promise.resolve(sampleLinux(pid));
+    case 'darwin':
+      return samplePs(pid);
+    default:
+      return Promise.resolve(null);
+  }
+}
+
+function sampleLinux(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const rssMatch = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+
+    // The command name (field 2) may contain spaces, so split after its ')'
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const utime = parseInt(fields[11], 10);
+    const stime = parseInt(fields[12], 10);
+
+    return {
+      rssBytes: rssMatch ? parseInt(rssMatch[1], 10) * 1024 : 0,
+      cpuSeconds: (utime + stime) / LINUX_CLOCK_TICKS
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function samplePs(pid) {
+  return new Promise((resolve) => {
+    execFile('ps', ['-o', 'rss=,time=', '-p', String(pid)], (error, stdout) => {
+      if (error) {
+        resolve(null);
+        return;
+      }
+      const [rssKb, time] = stdout.trim().split(/\s+/);
+      resolve({
+        rssBytes: parseInt(rssKb, 10) * 1024,
+        cpuSeconds: parsePsTime(time)
+      });
+    });
+  });
+}
+
+// ps prints CPU time as [[dd-]hh:]mm:ss[.ff]
+function parsePsTime(value) {
+  if (!value) return 0;
+  const [days, rest] = value.includes('-') ? value.split('-') : [0, value];
+  const seconds = rest.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Number(days) * 86400 + seconds;
+}
+
+module.exports = { sampleProcessUsage, parsePsTime };
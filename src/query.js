@@ -0,0 +1,321 @@
+// A small JSON pipeline language for asking questions of the dataset
+// stage's records. A pipeline is an array of steps, each an object with
+// exactly one key, applied in order:
+//
+//   { "filter": <condition> }
+//   { "sortBy": "score" | { "field": "score", "order": "desc" } | [ ...several keys ] }
+//   { "groupBy": "language" | { "field": "age", "bucket": 10 } }
+//   { "aggregate": { "<column>": { "<count|sum|avg|min|max>": "<field>" | "*" } } }
+//   { "limit": 10 }
+//
+// Conditions are { "field", "op", "value" } with op one of OPERATORS, or
+// { "and": [...] }, { "or": [...] }, { "not": <condition> }. Fields are
+// dotted paths, e.g. "metadata.preferences.language".
+//
+// groupBy must be followed by aggregate, which then yields one row per
+// group; aggregate on its own yields a single row. Later steps work on
+// those rows, so a filter after aggregate acts like SQL's HAVING.
+//
+// Must not depend on Electron: used by the worker, and by task-registry.js
+// to validate pipelines before a run starts.
+
+const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'contains'];
+
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+const STEPS = ['filter', 'sortBy', 'groupBy', 'aggregate', 'limit'];
+
+// Rows kept in a stage result; totalRows is always exact
+const MAX_RESULT_ROWS = 200;
+
+// Nesting depth of and/or/not, to keep validation and evaluation bounded
+const MAX_CONDITION_DEPTH = 16;
+
+class QueryError extends Error {
+  constructor(errors) {
+    super(`Invalid query: ${errors.join('; ')}`);
+    this.name = 'QueryError';
+    this.errors = errors;
+  }
+}
+
+// Query parameters are JSON text, so they fit settings, the command line
+// and text inputs; '' means no query. Throws QueryError.
+function parseQuery(text) {
+  if (text === '') return null;
+  let pipeline;
+  try {
+    pipeline = JSON.parse(text);
+  } catch (error) {
+    throw new QueryError([`not valid JSON (${error.message})`]);
+  }
+  const errors = validatePipeline(pipeline);
+  if (errors.length > 0) {
+    throw new QueryError(errors);
+  }
+  return pipeline;
+}
+
+// Every problem found, as messages naming the step, e.g. "step 2 (sortBy): ..."
+function validatePipeline(pipeline) {
+  if (!Array.isArray(pipeline)) return ['must be an array of steps'];
+  if (pipeline.length === 0) return ['needs at least one step'];
+
+  const errors = [];
+  pipeline.forEach((step, index) => {
+    const keys = step !== null && typeof step === 'object' && !Array.isArray(step) ? Object.keys(step) : [];
+    if (keys.length !== 1 || !STEPS.includes(keys[0])) {
+      errors.push(`step ${index + 1} must be an object with one of ${STEPS.join(', ')}`);
+      return;
+    }
+    const kind = keys[0];
+    const problem = STEP_VALIDATORS[kind](step[kind]);
+    if (problem) {
+      errors.push(`step ${index + 1} (${kind}): ${problem}`);
+    }
+    if (kind === 'groupBy') {
+      const next = pipeline[index + 1];
+      if (!next || typeof next !== 'object' || next.aggregate === undefined) {
+        errors.push(`step ${index + 1} (groupBy): must be followed by aggregate`);
+      }
+    }
+  });
+  return errors;
+}
+
+function isField(value) {
+  return typeof value === 'string' && value !== '' && value.split('.').every(part => part !== '');
+}
+
+function validateCondition(condition, depth = 0) {
+  if (depth > MAX_CONDITION_DEPTH) return `conditions nested more than ${MAX_CONDITION_DEPTH} deep`;
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return 'a condition must be an object';
+  }
+  if (condition.and !== undefined || condition.or !== undefined) {
+    const list = condition.and !== undefined ? condition.and : condition.or;
+    if (Object.keys(condition).length !== 1) return 'and/or must be the only key of its condition';
+    if (!Array.isArray(list) || list.length === 0) return 'and/or takes a non-empty array of conditions';
+    return list.map(item => validateCondition(item, depth + 1)).find(Boolean) || null;
+  }
+  if (condition.not !== undefined) {
+    if (Object.keys(condition).length !== 1) return 'not must be the only key of its condition';
+    return validateCondition(condition.not, depth + 1);
+  }
+  if (!isField(condition.field)) return 'a comparison needs a field';
+  if (!OPERATORS.includes(condition.op)) return `op must be one of ${OPERATORS.join(', ')}`;
+  if (condition.value === undefined) return `${condition.field} ${condition.op} needs a value`;
+  if (condition.op === 'in' && !Array.isArray(condition.value)) return `${condition.field} in needs an array value`;
+  return null;
+}
+
+// "score", { field, order } or an array of those
+function sortKeys(spec) {
+  return (Array.isArray(spec) ? spec : [spec])
+    .map(key => (typeof key === 'string' ? { field: key, order: 'asc' } : { order: 'asc', ...key }));
+}
+
+function groupKey(spec) {
+  return typeof spec === 'string' ? { field: spec, bucket: null } : { bucket: null, ...spec };
+}
+
+const STEP_VALIDATORS = {
+  filter: condition => validateCondition(condition),
+  sortBy: (spec) => {
+    if (Array.isArray(spec) && spec.length === 0) return 'needs at least one key';
+    const invalid = (Array.isArray(spec) ? spec : [spec]).find(key => (typeof key === 'string'
+      ? !isField(key)
+      : key === null || typeof key !== 'object' || !isField(key.field) || (key.order !== undefined && !['asc', 'desc'].includes(key.order))));
+    return invalid === undefined ? null : 'keys are field names or { field, order: "asc"|"desc" }';
+  },
+  groupBy: (spec) => {
+    if (typeof spec === 'string') return isField(spec) ? null : 'needs a field';
+    if (spec === null || typeof spec !== 'object' || !isField(spec.field)) return 'needs a field or { field, bucket }';
+    if (spec.bucket !== undefined && !(typeof spec.bucket === 'number' && spec.bucket > 0)) return 'bucket must be a positive number';
+    return null;
+  },
+  aggregate: (spec) => {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec) || Object.keys(spec).length === 0) {
+      return 'maps column names to { function: field }';
+    }
+    const invalid = Object.entries(spec).find(([, fn]) => {
+      const keys = fn !== null && typeof fn === 'object' ? Object.keys(fn) : [];
+      if (keys.length !== 1 || !AGGREGATES.includes(keys[0])) return true;
+      const field = fn[keys[0]];
+      return !(isField(field) || (keys[0] === 'count' && field === '*'));
+    });
+    return invalid ? `${invalid[0]} must be { ${AGGREGATES.join('|')}: field } ("*" counts rows)` : null;
+  },
+  limit: count => (Number.isInteger(count) && count >= 0 ? null : 'must be a whole number')
+};
+
+function getField(record, field) {
+  let value = record;
+  for (const part of field.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function matches(record, condition) {
+  if (condition.and) return condition.and.every(item => matches(record, item));
+  if (condition.or) return condition.or.some(item => matches(record, item));
+  if (condition.not) return !matches(record, condition.not);
+
+  const value = getField(record, condition.field);
+  const expected = condition.value;
+  switch (condition.op) {
+    case '==': return value === expected;
+    case '!=': return value !== expected;
+    case '<': return value !== undefined && value !== null && value < expected;
+    case '<=': return value !== undefined && value !== null && value <= expected;
+    case '>': return value !== undefined && value !== null && value > expected;
+    case '>=': return value !== undefined && value !== null && value >= expected;
+    case 'in': return expected.includes(value);
+    case 'contains': return (typeof value === 'string' || Array.isArray(value)) && value.includes(expected);
+    default: return false;
+  }
+}
+
+// Missing values sort last in either order
+function compareRows(keys) {
+  return (a, b) => {
+    for (const { field, order } of keys) {
+      const left = getField(a, field);
+      const right = getField(b, field);
+      const leftMissing = left === undefined || left === null;
+      const rightMissing = right === undefined || right === null;
+      if (leftMissing || rightMissing) {
+        if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+        continue;
+      }
+      const result = left < right ? -1 : left > right ? 1 : 0;
+      if (result !== 0) return order === 'desc' ? -result : result;
+    }
+    return 0;
+  };
+}
+
+// Running totals of one aggregate column
+function createAccumulator(fn, field) {
+  let count = 0;
+  let sum = 0;
+  let extreme = null;
+  return {
+    add(record) {
+      if (fn === 'count') {
+        const value = field === '*' ? true : getField(record, field);
+        if (value !== undefined && value !== null) count++;
+        return;
+      }
+      const value = getField(record, field);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      count++;
+      sum += value;
+      if (extreme === null || (fn === 'min' ? value < extreme : value > extreme)) extreme = value;
+    },
+    value() {
+      switch (fn) {
+        case 'count': return count;
+        case 'sum': return sum;
+        case 'avg': return count > 0 ? sum / count : null;
+        default: return extreme;
+      }
+    }
+  };
+}
+
+function aggregate(rows, spec, group) {
+  const columns = Object.entries(spec).map(([name, fn]) => {
+    const kind = Object.keys(fn)[0];
+    return { name, kind, field: fn[kind] };
+  });
+  const newAccumulators = () => columns.map(({ kind, field }) => createAccumulator(kind, field));
+
+  // Groups in order of first appearance; a bucket groups by its lower bound
+  const groups = new Map();
+  rows.forEach(row => {
+    let key = null;
+    if (group) {
+      key = getField(row, group.field);
+      if (group.bucket !== null && typeof key === 'number') {
+        key = Math.floor(key / group.bucket) * group.bucket;
+      }
+      if (key === undefined) key = null;
+    }
+    if (!groups.has(key)) groups.set(key, newAccumulators());
+    groups.get(key).forEach(accumulator => accumulator.add(row));
+  });
+  if (!group && groups.size === 0) groups.set(null, newAccumulators());
+
+  return [...groups.entries()].map(([key, accumulators]) => {
+    const row = group ? { [group.field]: key } : {};
+    columns.forEach(({ name }, index) => { row[name] = accumulators[index].value(); });
+    return row;
+  });
+}
+
+/**
+ * Run a validated pipeline over records. Returns
+ *   { columns, rows, totalRows, truncated }
+ * where rows are flat objects (nested fields become dotted columns) and at
+ * most MAX_RESULT_ROWS are kept. The records array is not modified.
+ */
+function runQuery(records, pipeline) {
+  let rows = records;
+  let group = null;
+  pipeline.forEach(step => {
+    const [kind] = Object.keys(step);
+    const spec = step[kind];
+    switch (kind) {
+      case 'filter':
+        rows = rows.filter(row => matches(row, spec));
+        break;
+      case 'sortBy':
+        rows = [...rows].sort(compareRows(sortKeys(spec)));
+        break;
+      case 'groupBy':
+        group = groupKey(spec);
+        break;
+      case 'aggregate':
+        rows = aggregate(rows, spec, group);
+        group = null;
+        break;
+      case 'limit':
+        rows = rows.slice(0, spec);
+        break;
+    }
+  });
+
+  const kept = rows.slice(0, MAX_RESULT_ROWS).map(row => flattenRow(row));
+  const columns = [];
+  kept.forEach(row => Object.keys(row).forEach(column => {
+    if (!columns.includes(column)) columns.push(column);
+  }));
+  return { columns, rows: kept, totalRows: rows.length, truncated: rows.length > kept.length };
+}
+
+// { a: { b: 1 }, tags: ['x'] } -> { 'a.b': 1, tags: '["x"]' }
+function flattenRow(row, prefix = '', flat = {}) {
+  Object.entries(row).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRow(value, column, flat);
+    } else {
+      flat[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+  return flat;
+}
+
+module.exports = {
+  OPERATORS,
+  AGGREGATES,
+  STEPS,
+  MAX_RESULT_ROWS,
+  QueryError,
+  parseQuery,
+  validatePipeline,
+  runQuery
+};
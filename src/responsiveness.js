@@ -0,0 +1,124 @@
+// Measures how responsive the app stays while jobs run: the main process's
+// event-loop delay, sampled here, and the renderer's timer lag, dropped
+// frames and input latency, reported by index.html
+const { EventEmitter } = require('events');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// How often a main process sample is taken for the live chart
+const SAMPLE_INTERVAL_MS = 1000;
+
+// Event-loop delay histogram resolution
+const RESOLUTION_MS = 10;
+
+const NS_PER_MS = 1e6;
+
+/**
+ * Events:
+ *  - 'sample' ({ timestamp, meanMs, p99Ms, maxMs }) main process event-loop
+ *    delay over the last SAMPLE_INTERVAL_MS
+ *
+ * Per job, track() starts collecting and untrack() returns the figures for
+ * the job's lifetime:
+ *   { main: { meanDelayMs, p99DelayMs, maxDelayMs },
+ *     renderer: { samples, maxLagMs, p95LagMs, frames, droppedFrames, droppedPercent,
+ *                 inputEvents, maxInputLatencyMs } }
+ * where renderer is null if the window was hidden the whole time.
+ */
+class ResponsivenessMonitor extends EventEmitter {
+  constructor({ intervalMs = SAMPLE_INTERVAL_MS } = {}) {
+    super();
+    this.intervalMs = intervalMs;
+    this.histogram = null;
+    this.timer = null;
+    this.jobs = new Map(); // jobId -> { histogram, renderer: [samples] }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.histogram = monitorEventLoopDelay({ resolution: RESOLUTION_MS });
+    this.histogram.enable();
+    this.timer = setInterval(() => this.sample(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.histogram) this.histogram.disable();
+    this.jobs.forEach(({ histogram }) => histogram.disable());
+    this.jobs.clear();
+  }
+
+  sample() {
+    const sample = { timestamp: Date.now(), ...readHistogram(this.histogram) };
+    this.histogram.reset();
+    this.emit('sample', {
+      timestamp: sample.timestamp,
+      meanMs: sample.meanDelayMs,
+      p99Ms: sample.p99DelayMs,
+      maxMs: sample.maxDelayMs
+    });
+  }
+
+  // A renderer sample: { lagMs, frames, droppedFrames, inputEvents, inputLatencyMaxMs }
+  recordRendererSample(sample) {
+    if (!sample || typeof sample !== 'object') return;
+    const numbers = ['lagMs', 'frames', 'droppedFrames', 'inputEvents', 'inputLatencyMaxMs'];
+    if (!numbers.every(key => Number.isFinite(sample[key]) && sample[key] >= 0)) return;
+    this.jobs.forEach(job => job.renderer.push(sample));
+  }
+
+  track(jobId) {
+    const histogram = monitorEventLoopDelay({ resolution: RESOLUTION_MS });
+    histogram.enable();
+    this.jobs.set(jobId, { histogram, renderer: [] });
+  }
+
+  untrack(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    job.histogram.disable();
+    this.jobs.delete(jobId);
+    return {
+      main: readHistogram(job.histogram),
+      renderer: summarizeRenderer(job.renderer)
+    };
+  }
+}
+
+// Histogram values are in nanoseconds and include the resolution itself
+function readHistogram(histogram) {
+  if (histogram.count === 0) {
+    return { meanDelayMs: 0, p99DelayMs: 0, maxDelayMs: 0 };
+  }
+  const toMs = value => round(Math.max(0, value / NS_PER_MS - RESOLUTION_MS));
+  return {
+    meanDelayMs: toMs(histogram.mean),
+    p99DelayMs: toMs(histogram.percentile(99)),
+    maxDelayMs: toMs(histogram.max)
+  };
+}
+
+function summarizeRenderer(samples) {
+  if (samples.length === 0) return null;
+  const lags = samples.map(sample => sample.lagMs).sort((a, b) => a - b);
+  const sum = key => samples.reduce((total, sample) => total + sample[key], 0);
+  const frames = sum('frames');
+  const droppedFrames = sum('droppedFrames');
+  return {
+    samples: samples.length,
+    maxLagMs: round(lags[lags.length - 1]),
+    p95LagMs: round(lags[Math.max(0, Math.ceil(lags.length * 0.95) - 1)]),
+    frames,
+    droppedFrames,
+    droppedPercent: round(frames + droppedFrames > 0 ? (droppedFrames / (frames + droppedFrames)) * 100 : 0),
+    inputEvents: sum('inputEvents'),
+    maxInputLatencyMs: round(Math.max(...samples.map(sample => sample.inputLatencyMaxMs)))
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = { ResponsivenessMonitor };
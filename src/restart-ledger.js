@@ -0,0 +1,146 @@
+// Persistent record of app starts and exits, used to detect crash loops
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child('restart');
+
+// Entries kept in the ledger file; older ones are dropped
+const MAX_ENTRIES = 200;
+
+// Longest error text stored per entry
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * The ledger file holds:
+ *  - entries:  one per start { timestamp, pid, reason, exitCode, viaLaunchAgent, restart, error }
+ *              where reason/exitCode/error describe how the previous run ended
+ *  - running:  the run currently in progress, cleared when it records its exit
+ *  - lastExit: how the last run ended, consumed by the next start
+ *  - safeMode: set while crash-loop safe mode is active, survives restarts
+ *  - clearedAt: when safe mode was last cleared
+ */
+class RestartLedger {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.data = this.load();
+    this.started = false;
+  }
+
+  load() {
+    const empty = { entries: [], running: null, lastExit: null, safeMode: null, clearedAt: null };
+    try {
+      return { ...empty, ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('⚠️ Restart ledger unreadable - starting a new one:', error.message);
+      }
+      return empty;
+    }
+  }
+
+  // Written synchronously: exits are recorded right before process.exit()
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.error('Failed to write restart ledger:', error);
+    }
+  }
+
+  recordStart({ viaLaunchAgent }) {
+    const { lastExit, running } = this.data;
+    let reason = 'first-start';
+    let exitCode = null;
+    let error = null;
+
+    if (lastExit) {
+      ({ reason, exitCode, error } = lastExit);
+    } else if (running) {
+      // Previous run never recorded an exit: killed, crashed natively or lost power
+      reason = 'killed';
+    }
+
+    const entry = {
+      timestamp: Date.now(),
+      pid: process.pid,
+      reason,
+      exitCode,
+      viaLaunchAgent,
+      // Starting again after Force Quit or for the first time is not a restart
+      restart: reason !== 'first-start' && reason !== 'force-quit',
+      error
+    };
+
+    this.data.entries = [...this.data.entries, entry].slice(-MAX_ENTRIES);
+    this.data.running = { pid: process.pid, startedAt: entry.timestamp };
+    this.data.lastExit = null;
+    this.started = true;
+    this.save();
+    return entry;
+  }
+
+  recordExit({ reason, exitCode, error = null }) {
+    // A second instance that lost the single-instance lock must not
+    // overwrite the record of the instance that is actually running
+    if (!this.started) return;
+
+    this.data.lastExit = {
+      timestamp: Date.now(),
+      reason,
+      exitCode,
+      error: error ? formatError(error) : null
+    };
+    this.data.running = null;
+    this.save();
+  }
+
+  // Restarts (not first starts or starts after Force Quit) in the last
+  // windowSec, ignoring anything before the last "clear and resume"
+  getRecentRestarts(windowSec) {
+    const since = Math.max(Date.now() - windowSec * 1000, this.data.clearedAt || 0);
+    return this.data.entries.filter(entry => entry.restart && entry.timestamp > since);
+  }
+
+  // Restarts among the entries kept, however long ago
+  getRestartCount() {
+    return this.data.entries.filter(entry => entry.restart).length;
+  }
+
+  isCrashLooping({ maxRestarts, windowSec }) {
+    return this.getRecentRestarts(windowSec).length >= maxRestarts;
+  }
+
+  enterSafeMode(reason) {
+    if (!this.data.safeMode) {
+      this.data.safeMode = { enteredAt: Date.now(), reason };
+      this.save();
+    }
+    return this.data.safeMode;
+  }
+
+  getSafeMode() {
+    return this.data.safeMode;
+  }
+
+  // "Clear and resume": the loop detector starts counting from now
+  clearSafeMode() {
+    this.data.safeMode = null;
+    this.data.clearedAt = Date.now();
+    this.save();
+  }
+
+  getEntries(limit = 20) {
+    return this.data.entries.slice(-limit).reverse();
+  }
+}
+
+function formatError(error) {
+  const text = error instanceof Error ? (error.stack || error.message) : String(error);
+  return text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}…` : text;
+}
+
+module.exports = { RestartLedger };
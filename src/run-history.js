@@ -0,0 +1,113 @@
+// Persistent history of finished heavy task runs and their stage results
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child('history');
+
+const DEFAULT_MAX_RUNS = 100;
+
+/**
+ * The history file holds { runs: [...] }, oldest first. Each run is
+ *   { id, state, backend, options, createdAt, startedAt, finishedAt, durationMs, error,
+ *     usage: { peakRssMB, peakHeapMB, cpuSeconds, limit },
+ *     responsiveness: see ResponsivenessMonitor, or null,
+ *     stages: [{ stage, label, startedAt, durationMs, result }] }
+ * where `stages` only lists stages that completed.
+ */
+class RunHistory {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - the history JSON file
+   * @param {number} [options.maxRuns] - runs kept; older ones are dropped
+   */
+  constructor({ filePath, maxRuns = DEFAULT_MAX_RUNS }) {
+    this.filePath = filePath;
+    this.maxRuns = maxRuns;
+    this.runs = this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data.runs) ? data.runs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('⚠️ Run history unreadable - starting a new one:', error.message);
+      }
+      return [];
+    }
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ runs: this.runs }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.error('Failed to write run history:', error);
+    }
+  }
+
+  // Record a finished job snapshot from the JobManager
+  record(job) {
+    const result = job.result || {};
+    const run = {
+      id: job.id,
+      state: job.state,
+      backend: result.backend || null,
+      options: job.options,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs: job.durationMs,
+      error: job.error,
+      usage: {
+        peakRssMB: result.peakRssMB === undefined ? null : result.peakRssMB,
+        peakHeapMB: result.peakHeapMB === undefined ? null : result.peakHeapMB,
+        cpuSeconds: result.cpuSeconds === undefined ? null : result.cpuSeconds,
+        limit: result.limit || null
+      },
+      responsiveness: result.responsiveness || null,
+      stages: result.stages || []
+    };
+
+    this.runs = [...this.runs.filter(existing => existing.id !== run.id), run];
+    this.trim();
+    this.save();
+    log.debug(`📚 Recorded ${run.id} (${run.state}, ${run.stages.length} stage results)`);
+    return run;
+  }
+
+  setMaxRuns(maxRuns) {
+    this.maxRuns = maxRuns;
+    if (this.trim()) {
+      this.save();
+    }
+  }
+
+  // Drop the oldest runs beyond maxRuns; true if any were dropped
+  trim() {
+    if (this.runs.length <= this.maxRuns) return false;
+    this.runs = this.runs.slice(-this.maxRuns);
+    return true;
+  }
+
+  // Newest first
+  getRuns(limit = this.maxRuns) {
+    return this.runs.slice(-limit).reverse();
+  }
+
+  getRun(id) {
+    return this.runs.find(run => run.id === id) || null;
+  }
+
+  clear() {
+    this.runs = [];
+    this.save();
+    log.info('📚 Run history cleared');
+  }
+}
+
+module.exports = { RunHistory };
@@ -0,0 +1,555 @@
+// Installs, removes and inspects the OS-level restart mechanism:
+// a LaunchAgent on macOS, a systemd user unit (or autostart entry) on Linux
+// and a scheduled task (or Run registry key) on Windows.
+// Used by main.js and by the cleanup.js CLI, so it must not depend on Electron.
+const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LAUNCH_AGENT_LABEL = 'com.example.systemresilientapp';
+const LINUX_SERVICE_NAME = 'system-resilient-app';
+const WINDOWS_TASK_NAME = 'SystemResilientApp';
+const WINDOWS_RUN_KEY = 'HKCU\\Software\\Microsoft\\Windows\\CurrentVersion\\Run';
+
+const PRODUCT_NAME = 'System Resilient App';
+const MAC_APPLICATIONS_PATH = `/Applications/${PRODUCT_NAME}.app/Contents/MacOS/${PRODUCT_NAME}`;
+
+// Overall state reported by status() and verify()
+const SERVICE_STATES = {
+  NOT_INSTALLED: 'not-installed',
+  HEALTHY: 'healthy',
+  BROKEN: 'broken'
+};
+
+/**
+ * Every step taken (or, in dry-run mode, that would be taken) is recorded:
+ *   { type: 'mkdir' | 'write' | 'remove' | 'command', target, ok, skipped, error }
+ * and returned from install()/uninstall() so callers can report it.
+ */
+class ServiceManager {
+  /**
+   * @param {object} options
+   * @param {string} [options.platform] - defaults to os.platform()
+   * @param {string} [options.homeDir] - defaults to os.homedir()
+   * @param {string} [options.appPath] - executable to (re)start; resolved from
+   *   the packaged build when omitted
+   * @param {string[]} [options.appArgs] - arguments for appPath, e.g. the app
+   *   directory when appPath is a bare Electron binary (Linux unit and autostart entry)
+   * @param {string} [options.projectRoot] - where dist/ is looked up
+   * @param {number} [options.throttleIntervalSec] - delay before a restart
+   * @param {string} [options.stdoutLog] - LaunchAgent stdout file
+   * @param {string} [options.stderrLog] - LaunchAgent stderr file
+   * @param {boolean} [options.dryRun] - record actions without performing them
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || os.platform();
+    this.homeDir = options.homeDir || os.homedir();
+    this.projectRoot = options.projectRoot || path.dirname(__dirname);
+    this.appPath = options.appPath || null;
+    this.appArgs = options.appArgs || [];
+    this.throttleIntervalSec = options.throttleIntervalSec || 5;
+    this.stdoutLog = options.stdoutLog || path.join(os.tmpdir(), 'resilient_app.log');
+    this.stderrLog = options.stderrLog || path.join(os.tmpdir(), 'resilient_app_error.log');
+    this.dryRun = Boolean(options.dryRun);
+    this.actions = [];
+  }
+
+  // Files this platform's mechanism consists of
+  getPaths() {
+    switch (this.platform) {
+      case 'darwin':
+        return { plist: path.join(this.homeDir, 'Library', 'LaunchAgents', `${LAUNCH_AGENT_LABEL}.plist`) };
+      case 'linux':
+        return {
+          unit: path.join(this.homeDir, '.config', 'systemd', 'user', `${LINUX_SERVICE_NAME}.service`),
+          desktopEntry: path.join(this.homeDir, '.config', 'autostart', `${LINUX_SERVICE_NAME}.desktop`)
+        };
+      case 'win32':
+        return { batchScript: path.join(os.tmpdir(), 'restart_app.bat') };
+      default:
+        return {};
+    }
+  }
+
+  // The packaged app, since a restart mechanism cannot launch a dev checkout
+  resolveAppPath() {
+    if (this.appPath) return this.appPath;
+
+    let candidates;
+    switch (this.platform) {
+      case 'darwin': {
+        const arch = process.arch === 'arm64' ? 'mac-arm64' : 'mac';
+        candidates = [MAC_APPLICATIONS_PATH, path.join(this.projectRoot, 'dist', arch, `${PRODUCT_NAME}.app`, 'Contents', 'MacOS', PRODUCT_NAME)];
+        break;
+      }
+      case 'linux':
+        candidates = [path.join(this.projectRoot, 'dist', 'linux-unpacked', LINUX_SERVICE_NAME)];
+        break;
+      case 'win32':
+        candidates = [path.join(this.projectRoot, 'dist', 'win-unpacked', `${PRODUCT_NAME}.exe`)];
+        break;
+      default:
+        candidates = [];
+    }
+
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (!found) {
+      throw new Error(`Packaged app not found (looked in ${candidates.join(', ') || 'nothing'}). Run 'npm run build' first or pass an app path.`);
+    }
+    return found;
+  }
+
+  async install() {
+    this.actions = [];
+    const appPath = this.resolveAppPath();
+
+    switch (this.platform) {
+      case 'darwin':
+        await this.installMacOS(appPath);
+        break;
+      case 'linux':
+        await this.installLinux(appPath);
+        break;
+      case 'win32':
+        await this.installWindows(appPath);
+        break;
+      default:
+        throw new Error(`Unsupported platform: ${this.platform}`);
+    }
+    return { appPath, actions: this.actions };
+  }
+
+  async uninstall() {
+    this.actions = [];
+    switch (this.platform) {
+      case 'darwin':
+        await this.uninstallMacOS();
+        break;
+      case 'linux':
+        await this.uninstallLinux();
+        break;
+      case 'win32':
+        await this.uninstallWindows();
+        break;
+      default:
+        throw new Error(`Unsupported platform: ${this.platform}`);
+    }
+    return { actions: this.actions };
+  }
+
+  /**
+   * What is installed and whether it is loaded/enabled.
+   * @returns {{ state: string, checks: Array<{ name, ok, detail }> }}
+   */
+  async status() {
+    return this.inspect(false);
+  }
+
+  // status() plus a check of the installed files' contents
+  async verify() {
+    return this.inspect(true);
+  }
+
+  async inspect(deep) {
+    let result;
+    switch (this.platform) {
+      case 'darwin':
+        result = await this.inspectMacOS(deep);
+        break;
+      case 'linux':
+        result = await this.inspectLinux(deep);
+        break;
+      case 'win32':
+        result = await this.inspectWindows(deep);
+        break;
+      default:
+        return { platform: this.platform, state: SERVICE_STATES.NOT_INSTALLED, checks: [{ name: 'platform', ok: false, detail: 'unsupported platform' }] };
+    }
+
+    const { installed, checks } = result;
+    let state = SERVICE_STATES.NOT_INSTALLED;
+    if (installed) {
+      state = checks.every(check => check.ok) ? SERVICE_STATES.HEALTHY : SERVICE_STATES.BROKEN;
+    }
+    return { platform: this.platform, state, checks };
+  }
+
+  // --- macOS ---
+
+  buildPlist(appPath) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN"
+  "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>Label</key>
+    <string>${LAUNCH_AGENT_LABEL}</string>
+
+    <key>ProgramArguments</key>
+    <array>
+        <string>${appPath}</string>
+    </array>
+
+    <key>RunAtLoad</key>
+    <true/>
+
+    <key>KeepAlive</key>
+    <dict>
+        <key>SuccessfulExit</key>
+        <false/>
+    </dict>
+
+    <key>ThrottleInterval</key>
+    <integer>${this.throttleIntervalSec}</integer>
+
+    <key>StandardOutPath</key>
+    <string>${this.stdoutLog}</string>
+    <key>StandardErrorPath</key>
+    <string>${this.stderrLog}</string>
+
+    <key>EnvironmentVariables</key>
+    <dict>
+        <key>LAUNCH_AGENT_RESTART</key>
+        <string>1</string>
+    </dict>
+</dict>
+</plist>`;
+  }
+
+  // RunAtLoad + KeepAlive/SuccessfulExit=false: relaunched unless it exits with 0
+  async installMacOS(appPath) {
+    const { plist } = this.getPaths();
+    this.mkdir(path.dirname(plist));
+    // launchd does not create the directories of its log files
+    this.mkdir(path.dirname(this.stdoutLog));
+    this.mkdir(path.dirname(this.stderrLog));
+    this.write(plist, this.buildPlist(appPath));
+    const load = await this.run(`launchctl load "${plist}"`);
+    if (!load.ok) {
+      throw new Error(`Failed to load LaunchAgent: ${load.error}`);
+    }
+  }
+
+  async uninstallMacOS() {
+    const { plist } = this.getPaths();
+    if (this.exists(plist)) {
+      await this.run(`launchctl unload "${plist}"`);
+    }
+    this.remove(plist);
+  }
+
+  async inspectMacOS(deep) {
+    const { plist } = this.getPaths();
+    const checks = [];
+    const installed = fs.existsSync(plist);
+    checks.push({ name: 'plist', ok: installed, detail: plist });
+    if (!installed) return { installed, checks };
+
+    const loaded = await this.query(`launchctl list ${LAUNCH_AGENT_LABEL}`);
+    checks.push({ name: 'loaded', ok: loaded.ok, detail: loaded.ok ? 'loaded in launchd' : 'not loaded' });
+
+    const content = fs.readFileSync(plist, 'utf8');
+    const program = (content.match(/<key>ProgramArguments<\/key>\s*<array>\s*<string>([^<]*)<\/string>/) || [])[1];
+    checks.push(this.checkExecutable('program', program));
+
+    if (deep) {
+      checks.push({
+        name: 'keep-alive',
+        ok: /<key>SuccessfulExit<\/key>\s*<false\/>/.test(content),
+        detail: 'KeepAlive/SuccessfulExit must be false so Force Quit stays final'
+      });
+      if (program) {
+        checks.push(this.checkContent('plist-content', plist, content, this.buildPlist(program)));
+      }
+    }
+    return { installed, checks };
+  }
+
+  // --- Linux ---
+
+  // Same contract as the LaunchAgent's KeepAlive/SuccessfulExit=false: exit 0
+  // (Force Quit) is final, a non-zero exit or a kill is restarted. The app is
+  // told it was started by the service manager the same way launchd tells it.
+  buildUnit(appPath, appArgs = this.appArgs) {
+    return `[Unit]
+Description=System Resilient App
+After=graphical-session.target
+
+[Service]
+Type=simple
+ExecStart=${buildCommandLine(appPath, appArgs)}
+Restart=on-failure
+RestartSec=${this.throttleIntervalSec}
+Environment=DISPLAY=:0
+Environment=LAUNCH_AGENT_RESTART=1
+Environment=RESILIENT_APP_SERVICE=systemd
+
+[Install]
+WantedBy=default.target`;
+  }
+
+  buildDesktopEntry(appPath, appArgs = this.appArgs) {
+    return `[Desktop Entry]
+Type=Application
+Name=System Resilient App
+Exec=${buildCommandLine(appPath, appArgs)}
+Hidden=false
+NoDisplay=false
+X-GNOME-Autostart-enabled=true`;
+  }
+
+  // systemd user unit, falling back to an autostart entry without systemd
+  async installLinux(appPath) {
+    const { unit } = this.getPaths();
+    try {
+      this.mkdir(path.dirname(unit));
+      this.write(unit, this.buildUnit(appPath));
+      const enable = await this.run(`systemctl --user daemon-reload && systemctl --user enable ${LINUX_SERVICE_NAME} && systemctl --user start ${LINUX_SERVICE_NAME}`);
+      if (!enable.ok) {
+        // No systemd user session: don't leave a unit behind that status() would report as broken
+        this.remove(unit);
+        this.installLinuxAutostart(appPath);
+      }
+    } catch (error) {
+      this.installLinuxAutostart(appPath);
+    }
+  }
+
+  installLinuxAutostart(appPath) {
+    const { desktopEntry } = this.getPaths();
+    this.mkdir(path.dirname(desktopEntry));
+    this.write(desktopEntry, this.buildDesktopEntry(appPath));
+  }
+
+  async uninstallLinux() {
+    const { unit, desktopEntry } = this.getPaths();
+    if (this.exists(unit)) {
+      await this.run(`systemctl --user stop ${LINUX_SERVICE_NAME} && systemctl --user disable ${LINUX_SERVICE_NAME}`);
+    }
+    this.remove(unit);
+    this.remove(desktopEntry);
+    if (this.actions.some(action => action.type === 'remove' && action.target === unit && !action.skipped)) {
+      await this.run('systemctl --user daemon-reload');
+    }
+  }
+
+  async inspectLinux(deep) {
+    const { unit, desktopEntry } = this.getPaths();
+    const checks = [];
+    const hasUnit = fs.existsSync(unit);
+    const hasDesktopEntry = fs.existsSync(desktopEntry);
+
+    if (hasUnit) {
+      checks.push({ name: 'unit', ok: true, detail: unit });
+      const enabled = await this.query(`systemctl --user is-enabled ${LINUX_SERVICE_NAME}`);
+      checks.push({ name: 'enabled', ok: enabled.ok, detail: enabled.stdout.trim() || 'not enabled' });
+
+      const content = fs.readFileSync(unit, 'utf8');
+      const [program, ...args] = parseCommandLine((content.match(/^ExecStart=(.*)$/m) || [])[1] || '');
+      checks.push(this.checkExecutable('program', program));
+      if (deep) {
+        checks.push({
+          name: 'restart-policy',
+          ok: /^Restart=on-failure$/m.test(content),
+          detail: 'Restart must be on-failure so Force Quit (exit 0) stays final'
+        });
+        if (program) {
+          checks.push(this.checkContent('unit-content', unit, content, this.buildUnit(program, args)));
+        }
+      }
+    }
+
+    if (hasDesktopEntry) {
+      checks.push({ name: 'autostart-entry', ok: true, detail: desktopEntry });
+      const content = fs.readFileSync(desktopEntry, 'utf8');
+      const [program, ...args] = parseCommandLine((content.match(/^Exec=(.*)$/m) || [])[1] || '');
+      checks.push(this.checkExecutable('autostart-program', program));
+      if (deep && program) {
+        checks.push(this.checkContent('autostart-content', desktopEntry, content, this.buildDesktopEntry(program, args)));
+      }
+    }
+
+    if (!hasUnit && !hasDesktopEntry) {
+      checks.push({ name: 'unit', ok: false, detail: unit });
+    }
+    return { installed: hasUnit || hasDesktopEntry, checks };
+  }
+
+  // --- Windows ---
+
+  buildBatchScript(appPath) {
+    return `
+@echo off
+:loop
+tasklist /FI "IMAGENAME eq ${path.basename(appPath)}" 2>NUL | find /I /N "${path.basename(appPath)}">NUL
+if "%ERRORLEVEL%"=="0" (
+  timeout /t ${this.throttleIntervalSec} /nobreak >nul
+  goto loop
+) else (
+  start "" "${appPath}"
+  timeout /t ${this.throttleIntervalSec} /nobreak >nul
+  goto loop
+)
+`;
+  }
+
+  // Scheduled task running a watchdog loop, falling back to the Run key
+  async installWindows(appPath) {
+    const { batchScript } = this.getPaths();
+    this.write(batchScript, this.buildBatchScript(appPath));
+    const task = await this.run(`schtasks /create /tn "${WINDOWS_TASK_NAME}" /tr "${batchScript}" /sc onstart /ru SYSTEM /f`);
+    if (!task.ok) {
+      const reg = await this.run(`reg add "${WINDOWS_RUN_KEY}" /v "${WINDOWS_TASK_NAME}" /t REG_SZ /d "${appPath}" /f`);
+      if (!reg.ok) {
+        throw new Error(`Failed to add to Windows registry: ${reg.error}`);
+      }
+    }
+  }
+
+  async uninstallWindows() {
+    const { batchScript } = this.getPaths();
+    await this.run(`schtasks /delete /tn "${WINDOWS_TASK_NAME}" /f`);
+    await this.run(`reg delete "${WINDOWS_RUN_KEY}" /v "${WINDOWS_TASK_NAME}" /f`);
+    this.remove(batchScript);
+  }
+
+  async inspectWindows(deep) {
+    const { batchScript } = this.getPaths();
+    const checks = [];
+    const task = await this.query(`schtasks /query /tn "${WINDOWS_TASK_NAME}"`);
+    const runKey = await this.query(`reg query "${WINDOWS_RUN_KEY}" /v "${WINDOWS_TASK_NAME}"`);
+
+    if (task.ok) {
+      checks.push({ name: 'scheduled-task', ok: true, detail: WINDOWS_TASK_NAME });
+      const hasScript = fs.existsSync(batchScript);
+      checks.push({ name: 'batch-script', ok: hasScript, detail: batchScript });
+      if (hasScript) {
+        const content = fs.readFileSync(batchScript, 'utf8');
+        const program = (content.match(/start "" "([^"]*)"/) || [])[1];
+        checks.push(this.checkExecutable('program', program));
+        if (deep && program) {
+          checks.push(this.checkContent('batch-script-content', batchScript, content, this.buildBatchScript(program)));
+        }
+      }
+    }
+
+    if (runKey.ok) {
+      const program = (runKey.stdout.match(/REG_SZ\s+(.*)$/m) || [])[1];
+      checks.push({ name: 'run-key', ok: true, detail: WINDOWS_RUN_KEY });
+      checks.push(this.checkExecutable('run-key-program', program && program.trim()));
+    }
+
+    if (!task.ok && !runKey.ok) {
+      checks.push({ name: 'scheduled-task', ok: false, detail: `${WINDOWS_TASK_NAME} not found` });
+    }
+    return { installed: task.ok || runKey.ok, checks };
+  }
+
+  // --- helpers ---
+
+  checkExecutable(name, program) {
+    if (!program) {
+      return { name, ok: false, detail: 'no program configured' };
+    }
+    return { name, ok: fs.existsSync(program), detail: fs.existsSync(program) ? program : `${program} does not exist` };
+  }
+
+  // Drift between the installed file and what install() would write for the same app
+  checkContent(name, filePath, actual, expected) {
+    const ok = actual.trim() === expected.trim();
+    return { name, ok, detail: ok ? filePath : `${filePath} differs from the current configuration - run install again` };
+  }
+
+  exists(filePath) {
+    return fs.existsSync(filePath);
+  }
+
+  mkdir(dir) {
+    this.perform({ type: 'mkdir', target: dir }, () => fs.mkdirSync(dir, { recursive: true }), fs.existsSync(dir));
+  }
+
+  write(filePath, content) {
+    this.perform({ type: 'write', target: filePath }, () => fs.writeFileSync(filePath, content));
+  }
+
+  remove(filePath) {
+    this.perform({ type: 'remove', target: filePath }, () => fs.unlinkSync(filePath), !fs.existsSync(filePath));
+  }
+
+  perform(action, operation, skip = false) {
+    if (skip) {
+      this.actions.push({ ...action, ok: true, skipped: true });
+      return;
+    }
+    if (this.dryRun) {
+      this.actions.push({ ...action, ok: true, dryRun: true });
+      return;
+    }
+    try {
+      operation();
+      this.actions.push({ ...action, ok: true });
+    } catch (error) {
+      this.actions.push({ ...action, ok: false, error: error.message });
+      throw error;
+    }
+  }
+
+  // A command that changes the system; recorded, and skipped in dry-run mode
+  async run(command) {
+    if (this.dryRun) {
+      this.actions.push({ type: 'command', target: command, ok: true, dryRun: true });
+      return { ok: true, stdout: '', stderr: '' };
+    }
+    const result = await runCommand(command);
+    this.actions.push({ type: 'command', target: command, ok: result.ok, ...(result.ok ? {} : { error: result.error }) });
+    return result;
+  }
+
+  // A read-only command, also run in dry-run mode
+  query(command) {
+    return runCommand(command);
+  }
+}
+
+// Command line for systemd ExecStart= and desktop entry Exec=: arguments with
+// spaces or special characters are double-quoted, and % is doubled
+function buildCommandLine(appPath, appArgs) {
+  return [appPath, ...appArgs].map(arg => {
+    const escaped = arg.replace(/%/g, '%%');
+    if (/^[\w@%+=:,./-]+$/.test(escaped)) return escaped;
+    return `"${escaped.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }).join(' ');
+}
+
+function parseCommandLine(line) {
+  const args = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    const arg = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2];
+    args.push(arg.replace(/%%/g, '%'));
+  }
+  return args;
+}
+
+function runCommand(command) {
+  return new Promise((resolve) => {
+    exec(command, (error, stdout, stderr) => {
+      resolve({
+        ok: !error,
+        stdout: stdout || '',
+        stderr: stderr || '',
+        error: error ? (stderr || error.message).trim() : null
+      });
+    });
+  });
+}
+
+module.exports = {
+  ServiceManager,
+  SERVICE_STATES,
+  LAUNCH_AGENT_LABEL,
+  LINUX_SERVICE_NAME,
+  WINDOWS_TASK_NAME
+};
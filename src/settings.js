@@ -0,0 +1,342 @@
+// Central app settings, backed by settings.json in the user data directory
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TASKS, LIMITS, validateParam } = require('./task-registry');
+const { logger, LEVELS } = require('./logger');
+const { defaultSocketPath } = require('./control-socket');
+
+const log = logger.child('settings');
+
+/**
+ * Every setting the app reads. Keys are flat and dotted, and the settings
+ * file only stores values that differ from these defaults.
+ *
+ * `live: true` settings take effect as soon as they change (via set() or
+ * an edit of the file); the rest are read at startup or when the restart
+ * mechanism is set up, so changing them requires a restart.
+ */
+const SCHEMA = {
+  'window.width': { type: 'integer', group: 'Window', label: 'Width', min: 400, max: 4000, default: 800, live: false },
+  'window.height': { type: 'integer', group: 'Window', label: 'Height', min: 300, max: 3000, default: 600, live: false },
+  'window.recreateDelayMs': { type: 'integer', group: 'Window', label: 'Recreate destroyed window after (ms)', min: 0, max: 60000, default: 1000, live: true },
+  'window.restoreDelayMs': { type: 'integer', group: 'Window', label: 'Re-show window after quit attempt (ms)', min: 0, max: 60000, default: 2000, live: true },
+
+  // 'off': crashes are not relaunched and quitting exits with 0, as in safe mode
+  'restart.autoRestart': { type: 'enum', group: 'Restart', label: 'Auto-restart', values: ['on', 'off'], default: 'on', live: true },
+  'restart.relaunchDelayMs': { type: 'integer', group: 'Restart', label: 'Relaunch after crash (ms)', min: 0, max: 60000, default: 1000, live: true },
+  'restart.throttleIntervalSec': { type: 'integer', group: 'Restart', label: 'OS service restart delay (s)', min: 1, max: 3600, default: 5, live: false },
+  'restart.crashLoopMaxRestarts': { type: 'integer', group: 'Restart', label: 'Safe mode after restarts', min: 1, max: 1000, default: 5, live: false },
+  'restart.crashLoopWindowSec': { type: 'integer', group: 'Restart', label: 'Within (s)', min: 1, max: 86400, default: 120, live: false },
+
+  'heartbeat.intervalMs': { type: 'integer', group: 'Heartbeat', label: 'Interval (ms)', min: 100, max: 60000, default: 1000, live: true },
+
+  'logging.level': { type: 'enum', group: 'Logging', label: 'Level', values: LEVELS, default: 'info', live: true },
+  'logging.maxFileSizeMB': { type: 'integer', group: 'Logging', label: 'Rotate at (MB)', min: 1, max: 1024, default: 5, live: true },
+  'logging.maxFiles': { type: 'integer', group: 'Logging', label: 'Rotated files kept', min: 1, max: 100, default: 5, live: true },
+  'logging.maxJobLogs': { type: 'integer', group: 'Logging', label: 'Job logs kept', min: 1, max: 1000, default: 50, live: true },
+
+  'jobs.concurrency': { type: 'integer', group: 'Jobs', label: 'Max concurrent jobs', min: 1, max: 64, default: 2, live: true },
+  'jobs.cancelGracePeriodMs': { type: 'integer', group: 'Jobs', label: 'Kill cancelled worker after (ms)', min: 100, max: 600000, default: 5000, live: true },
+  // 'process': a child process per job, isolated from the app; 'thread': a
+  // pooled worker thread in the main process, faster to start and lighter
+  'jobs.backend': { type: 'enum', group: 'Jobs', label: 'Run tasks in', values: ['process', 'thread'], default: 'process', live: true },
+
+  // Desktop notifications per category, and hours (local time) without any
+  'notifications.jobSucceeded': { type: 'enum', group: 'Notifications', label: 'Task finished', values: ['on', 'off'], default: 'on', live: true },
+  'notifications.jobFailed': { type: 'enum', group: 'Notifications', label: 'Task failed', values: ['on', 'off'], default: 'on', live: true },
+  'notifications.jobCancelled': { type: 'enum', group: 'Notifications', label: 'Task cancelled', values: ['on', 'off'], default: 'on', live: true },
+  'notifications.recovery': { type: 'enum', group: 'Notifications', label: 'Restart after a crash or kill', values: ['on', 'off'], default: 'on', live: true },
+  'notifications.safeMode': { type: 'enum', group: 'Notifications', label: 'Safe mode', values: ['on', 'off'], default: 'on', live: true },
+  'notifications.quietHours': { type: 'enum', group: 'Notifications', label: 'Quiet hours', values: ['on', 'off'], default: 'off', live: true },
+  'notifications.quietHoursStart': { type: 'integer', group: 'Notifications', label: 'Quiet from (hour)', min: 0, max: 23, default: 22, live: true },
+  'notifications.quietHoursEnd': { type: 'integer', group: 'Notifications', label: 'Quiet until (hour)', min: 0, max: 23, default: 7, live: true },
+
+  'history.maxRuns': { type: 'integer', group: 'History', label: 'Runs kept', min: 1, max: 10000, default: 100, live: true },
+
+  'paths.heartbeatFile': { type: 'path', group: 'Paths', label: 'Heartbeat file', default: '/tmp/resilient_app_heartbeat', live: false },
+  'paths.quitSignalFile': { type: 'path', group: 'Paths', label: 'Intentional quit signal', default: '/tmp/intentional_quit.signal', live: false },
+  'paths.runningMarker': { type: 'path', group: 'Paths', label: 'Running marker', default: '/tmp/resilient_app_running.marker', live: false },
+  // Defaults depend on the user data directory and are passed to the constructor
+  'paths.logDirectory': { type: 'path', group: 'Paths', label: 'Log directory', default: null, live: false },
+  'paths.serviceStdoutLog': { type: 'path', group: 'Paths', label: 'LaunchAgent stdout log', default: null, live: false },
+  'paths.serviceStderrLog': { type: 'path', group: 'Paths', label: 'LaunchAgent stderr log', default: null, live: false },
+  'paths.controlSocket': { type: 'path', group: 'Paths', label: 'Control socket', default: null, live: false }
+};
+
+// Default task parameters and worker limits, e.g. 'tasks.file.sizeMB', 'limits.timeoutSec'
+Object.entries(TASKS).forEach(([stage, task]) => {
+  Object.entries(task.params).forEach(([name, spec]) => {
+    SCHEMA[`tasks.${stage}.${name}`] = { ...spec, group: `Task defaults: ${task.label}`, live: true };
+  });
+});
+Object.entries(LIMITS).forEach(([name, spec]) => {
+  SCHEMA[`limits.${name}`] = { ...spec, group: 'Worker limits', live: true };
+});
+
+// Checks across a stage's task defaults (TASKS[stage].validate), which
+// validateParam() cannot see one key at a time. Values must be valid on their own.
+function taskDefaultErrors(values) {
+  const errors = [];
+  Object.entries(TASKS).forEach(([stage, task]) => {
+    if (!task.validate) return;
+    const params = {};
+    Object.keys(task.params).forEach(name => { params[name] = values[`tasks.${stage}.${name}`]; });
+    task.validate(params).forEach(message => errors.push({ stage, message: `${task.label}: ${message}` }));
+  });
+  return errors;
+}
+
+// Debounce for file watcher events (editors often write in several steps)
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Events:
+ *  - 'change' (changes) map of key -> new value for every setting that changed
+ */
+class Settings extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - the settings JSON file
+   * @param {object} [options.defaults] - key -> default for settings whose
+   *   default is only known at runtime (schema default null)
+   */
+  constructor({ filePath, defaults = {} }) {
+    super();
+    this.filePath = filePath;
+    this.defaults = {};
+    Object.entries(SCHEMA).forEach(([key, spec]) => {
+      this.defaults[key] = defaults[key] !== undefined ? defaults[key] : spec.default;
+    });
+    this.values = {};
+    this.errors = []; // Problems found in the settings file: [{ key, message }]
+    this.lastWritten = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.load();
+  }
+
+  get(key) {
+    if (!SCHEMA[key]) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    return this.values[key];
+  }
+
+  // Task parameter and limit defaults in the shape validateTaskOptions() takes
+  getTaskDefaults() {
+    const defaults = { params: {}, limits: {} };
+    Object.keys(TASKS).forEach(stage => {
+      defaults.params[stage] = {};
+      Object.keys(TASKS[stage].params).forEach(name => {
+        defaults.params[stage][name] = this.values[`tasks.${stage}.${name}`];
+      });
+    });
+    Object.keys(LIMITS).forEach(name => {
+      defaults.limits[name] = this.values[`limits.${name}`];
+    });
+    return defaults;
+  }
+
+  // Everything the renderer needs to show and edit settings
+  describe() {
+    return {
+      filePath: this.filePath,
+      errors: this.errors,
+      settings: Object.entries(SCHEMA).map(([key, spec]) => ({ key, ...spec, default: this.defaults[key], value: this.values[key] }))
+    };
+  }
+
+  // Read the file; invalid or unknown entries are reported and fall back to defaults
+  load() {
+    let stored = {};
+    const errors = [];
+
+    try {
+      stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (stored === null || typeof stored !== 'object' || Array.isArray(stored)) {
+        errors.push({ key: null, message: 'Settings file must contain a JSON object' });
+        stored = {};
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        errors.push({ key: null, message: `Settings file could not be read: ${error.message}` });
+      }
+    }
+
+    const values = {};
+    Object.entries(SCHEMA).forEach(([key, spec]) => {
+      values[key] = this.defaults[key];
+      if (stored[key] === undefined) return;
+
+      const message = validateParam(stored[key], spec, false);
+      if (message) {
+        errors.push({ key, message: `${key} ${message} - using default ${JSON.stringify(this.defaults[key])}` });
+      } else {
+        values[key] = stored[key];
+      }
+    });
+
+    // A combination of stage defaults no run could start with: reset that stage
+    taskDefaultErrors(values).forEach(({ stage, message }) => {
+      Object.keys(TASKS[stage].params).forEach(name => {
+        const key = `tasks.${stage}.${name}`;
+        values[key] = this.defaults[key];
+      });
+      errors.push({ key: null, message: `${message} - using default task settings` });
+    });
+
+    Object.keys(stored)
+      .filter(key => !SCHEMA[key])
+      .forEach(key => errors.push({ key, message: `Unknown setting "${key}" ignored` }));
+
+    errors.forEach(error => log.warn(`⚠️ ${error.message}`));
+
+    const changes = this.diff(values);
+    this.values = values;
+    this.errors = errors;
+    return changes;
+  }
+
+  /**
+   * Validate and apply a partial update, e.g. { 'jobs.concurrency': 4 }.
+   * Nothing is applied unless every value is valid, and the task defaults
+   * still pass their stage's cross-parameter checks.
+   * @returns {{ ok: boolean, errors: Array, restartRequired: string[] }}
+   */
+  set(patch) {
+    const errors = [];
+    Object.entries(patch || {}).forEach(([key, value]) => {
+      if (!SCHEMA[key]) {
+        errors.push({ key, message: `Unknown setting "${key}"` });
+        return;
+      }
+      const message = validateParam(value, SCHEMA[key], SCHEMA[key].type === 'path');
+      if (message) {
+        errors.push({ key, message: `${SCHEMA[key].label} ${message}` });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { ok: false, errors, restartRequired: [] };
+    }
+
+    const values = { ...this.values, ...patch };
+    const crossErrors = taskDefaultErrors(values).map(({ message }) => ({ key: null, message }));
+    if (crossErrors.length > 0) {
+      return { ok: false, errors: crossErrors, restartRequired: [] };
+    }
+    const changes = this.diff(values);
+    this.values = values;
+    this.errors = [];
+    this.save();
+
+    if (Object.keys(changes).length > 0) {
+      this.emit('change', changes);
+    }
+    return { ok: true, errors: [], restartRequired: Object.keys(changes).filter(key => !SCHEMA[key].live) };
+  }
+
+  // Only values that differ from the defaults are written
+  save() {
+    const overrides = {};
+    Object.entries(this.values)
+      .filter(([key, value]) => value !== this.defaults[key])
+      .forEach(([key, value]) => { overrides[key] = value; });
+
+    const content = JSON.stringify(overrides, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, this.filePath);
+      this.lastWritten = content;
+    } catch (error) {
+      log.error('Failed to write settings:', error);
+    }
+  }
+
+  // Reload when the file is edited by hand. The directory is watched
+  // because the file itself is replaced on every save.
+  watch() {
+    if (this.watcher) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.watcher = fs.watch(path.dirname(this.filePath), (eventType, filename) => {
+        if (filename && filename !== path.basename(this.filePath)) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+      });
+    } catch (error) {
+      log.warn('⚠️ Could not watch settings file - live reload disabled:', error.message);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  reload() {
+    let content = null;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      // Deleted: fall through and reload, which restores the defaults
+    }
+    if (content !== null && content === this.lastWritten) return; // Our own save
+
+    log.info('🔧 Settings file changed - reloading');
+    const changes = this.load();
+    const keys = Object.keys(changes);
+    keys.filter(key => !SCHEMA[key].live)
+      .forEach(key => log.info(`🔧 ${key} changed - takes effect after a restart`));
+
+    this.emit('change', changes);
+  }
+
+  diff(values) {
+    const changes = {};
+    Object.keys(SCHEMA)
+      .filter(key => this.values[key] !== undefined && this.values[key] !== values[key])
+      .forEach(key => { changes[key] = values[key]; });
+    return changes;
+  }
+}
+
+// Electron's userData, for command-line tools running outside the app:
+// productName when packaged, package name in development
+function defaultUserDataDir() {
+  const platform = os.platform();
+  let base;
+  if (platform === 'darwin') {
+    base = path.join(os.homedir(), 'Library', 'Application Support');
+  } else if (platform === 'win32') {
+    base = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else {
+    base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  const candidates = ['System Resilient App', 'system-resilient-app'].map(name => path.join(base, name));
+  return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+}
+
+// Settings for a user data directory: settings.json and the control socket
+// there, with the logs and LaunchAgent output in its logs/ subdirectory
+function createSettings(userDataDir) {
+  const logDir = path.join(userDataDir, 'logs');
+  return new Settings({
+    filePath: path.join(userDataDir, 'settings.json'),
+    defaults: {
+      'paths.logDirectory': logDir,
+      'paths.serviceStdoutLog': path.join(logDir, 'launchagent-stdout.log'),
+      'paths.serviceStderrLog': path.join(logDir, 'launchagent-stderr.log'),
+      'paths.controlSocket': defaultSocketPath(userDataDir)
+    }
+  });
+}
+
+module.exports = { Settings, SCHEMA, createSettings, defaultUserDataDir };
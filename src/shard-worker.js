@@ -0,0 +1,63 @@
+// Thread entry for one shard of a CPU-bound stage (see shards.js). Runs
+// SHARD_TASKS[workerData.kind] on workerData.input, posting cumulative
+// progress and finally { type: 'result', result, durationMs, cpuSeconds }.
+const crypto = require('crypto');
+const { parentPort, workerData } = require('worker_threads');
+const { performance } = require('perf_hooks');
+const { PRIMES, MATRIX_ROWS } = require('./algorithms');
+
+// Minimum time between two progress messages from one shard
+const PROGRESS_INTERVAL_MS = 100;
+
+const SHARD_TASKS = {
+  // Primes in [from, to), ascending. Progress counts numbers checked.
+  primes({ from, to, algorithm }, report) {
+    return PRIMES[algorithm](from, to, report);
+  },
+
+  // Rows [from, to) of a x b, written into out. The matrices are flat
+  // size x size Float64Arrays over SharedArrayBuffers. Progress counts rows.
+  matrixRows({ from, to, a, b, out, size, algorithm }, report) {
+    MATRIX_ROWS[algorithm](new Float64Array(a), new Float64Array(b), new Float64Array(out), size, from, to, report);
+    return null;
+  },
+
+  // sha256 of `complex_calculation_<i>` for i in [from, to). Returns the XOR
+  // of all digests, which merges to the same value however the range is
+  // split, and the digest of the last index. Progress counts hashes.
+  hashRange({ from, to }, report) {
+    const xor = Buffer.alloc(32);
+    let last = null;
+    for (let i = from; i < to; i++) {
+      const digest = crypto.createHash('sha256').update(`complex_calculation_${i}`).digest();
+      for (let byte = 0; byte < 32; byte++) {
+        xor[byte] ^= digest[byte];
+      }
+      last = digest;
+      if (i % 10000 === 0) {
+        report(i - from);
+      }
+    }
+    return { xor: xor.toString('hex'), last: last ? last.toString('hex') : null };
+  }
+};
+
+// This thread's busy time, which is its CPU time: the task runs
+// synchronously. process.cpuUsage() would be the whole process's.
+const eluStart = performance.eventLoopUtilization();
+function cpuSeconds() {
+  return performance.eventLoopUtilization(eluStart).active / 1000;
+}
+
+let lastReport = 0;
+function report(done) {
+  const now = Date.now();
+  if (now - lastReport < PROGRESS_INTERVAL_MS) return;
+  lastReport = now;
+  parentPort.postMessage({ type: 'progress', done, cpuSeconds: cpuSeconds() });
+}
+
+const startTime = Date.now();
+const result = SHARD_TASKS[workerData.kind](workerData.input, report);
+const transfer = result instanceof Uint32Array ? [result.buffer] : [];
+parentPort.postMessage({ type: 'result', result, durationMs: Date.now() - startTime, cpuSeconds: cpuSeconds() }, transfer);
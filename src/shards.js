@@ -0,0 +1,101 @@
+// Splits CPU-bound stage work across worker threads, one per shard. Used
+// by HeavyTaskWorker for primes, matrix rows and hashing.
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const SHARD_WORKER_PATH = path.join(__dirname, 'shard-worker.js');
+
+// How often a stop request is checked while shards are running
+const STOP_CHECK_INTERVAL_MS = 100;
+
+// 0 means one shard per core
+function resolveParallelism(parallelism) {
+  return parallelism > 0 ? parallelism : os.cpus().length;
+}
+
+/**
+ * Split [from, to) into at most `count` contiguous, non-empty ranges.
+ * `position` maps a share of the work in [0, 1] to where in the range that
+ * share ends, so work that gets harder along the range can be balanced.
+ */
+function splitRange(from, to, count, position = share => share) {
+  const size = to - from;
+  const shards = Math.max(1, Math.min(count, size));
+  const bounds = [from];
+  for (let index = 1; index < shards; index++) {
+    bounds.push(from + Math.round(size * position(index / shards)));
+  }
+  bounds.push(to);
+
+  const ranges = [];
+  for (let index = 0; index < shards; index++) {
+    if (bounds[index + 1] > bounds[index]) {
+      ranges.push({ from: bounds[index], to: bounds[index + 1] });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Run SHARD_TASKS[kind] once per input, each in its own thread.
+ * Resolves with [{ from, to, result, durationMs, cpuSeconds }] in input order, so merging
+ * is deterministic, or with null once shouldStop() returned true (the
+ * threads are terminated). Rejects if a shard fails.
+ *
+ * @param {string} kind - a SHARD_TASKS key from shard-worker.js
+ * @param {object[]} inputs - per-shard input, each with { from, to }
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - (done) units done over all shards
+ * @param {function} [options.onCpuSeconds] - (seconds) CPU time of all shards so far
+ * @param {function} [options.shouldStop] - polled while the shards run
+ */
+function runShards(kind, inputs, { onProgress = () => {}, onCpuSeconds = () => {}, shouldStop = () => false } = {}) {
+  if (inputs.length === 0) return Promise.resolve([]);
+
+  return new Promise((resolve, reject) => {
+    const done = inputs.map(() => 0);
+    const cpu = inputs.map(() => 0);
+    const results = new Array(inputs.length);
+    let remaining = inputs.length;
+    let settled = false;
+
+    const threads = inputs.map((input, index) => {
+      const thread = new Worker(SHARD_WORKER_PATH, { workerData: { kind, input } });
+      thread.on('message', (message) => {
+        cpu[index] = message.cpuSeconds;
+        onCpuSeconds(cpu.reduce((sum, value) => sum + value, 0));
+        if (message.type === 'progress') {
+          done[index] = message.done;
+          onProgress(done.reduce((sum, value) => sum + value, 0));
+        } else if (message.type === 'result') {
+          done[index] = input.to - input.from;
+          results[index] = { from: input.from, to: input.to, result: message.result, durationMs: message.durationMs, cpuSeconds: message.cpuSeconds };
+          onProgress(done.reduce((sum, value) => sum + value, 0));
+          remaining--;
+          if (remaining === 0) {
+            settle(() => resolve(results));
+          }
+        }
+      });
+      thread.on('error', (error) => settle(() => reject(error)));
+      return thread;
+    });
+
+    const stopTimer = setInterval(() => {
+      if (shouldStop()) {
+        settle(() => resolve(null));
+      }
+    }, STOP_CHECK_INTERVAL_MS);
+
+    function settle(callback) {
+      if (settled) return;
+      settled = true;
+      clearInterval(stopTimer);
+      threads.forEach(thread => thread.terminate());
+      callback();
+    }
+  });
+}
+
+module.exports = { runShards, splitRange, resolveParallelism };
@@ -0,0 +1,46 @@
+// Command-line arguments for heavy task options, shared by resilient-ctl.js
+// and benchmark.js
+
+const TASK_ARGS_USAGE = `  --stages <a,b>         Stages to run (default: all)
+  --param <stage.name=value>
+                         Task parameter, e.g. --param file.sizeMB=10 (repeatable)
+  --limit <name=value>   Worker limit, e.g. --limit timeoutSec=60 (repeatable)`;
+
+// "10" -> 10, anything else stays a string (paths)
+function parseValue(value) {
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+function parseAssignment(arg, value) {
+  const match = /^([^=]+)=(.*)$/.exec(value || '');
+  if (!match) throw new Error(`${arg} needs name=value`);
+  return [match[1], parseValue(match[2])];
+}
+
+/**
+ * Apply a --stages, --param or --limit argument to run options of the
+ * form validateTaskOptions() takes. Returns false for any other argument.
+ *
+ * @param {string} arg
+ * @param {function} takeValue - (arg) returns the argument's value or throws
+ * @param {object} options - updated in place
+ */
+function parseTaskArg(arg, takeValue, options) {
+  if (arg === '--stages') {
+    options.stages = takeValue(arg).split(',').map(stage => stage.trim()).filter(Boolean);
+  } else if (arg === '--param') {
+    const [name, value] = parseAssignment(arg, takeValue(arg));
+    const [stage, param] = name.split('.');
+    if (!param) throw new Error('--param needs stage.name=value');
+    options.params = options.params || {};
+    options.params[stage] = { ...options.params[stage], [param]: value };
+  } else if (arg === '--limit') {
+    const [name, value] = parseAssignment(arg, takeValue(arg));
+    options.limits = { ...options.limits, [name]: value };
+  } else {
+    return false;
+  }
+  return true;
+}
+
+module.exports = { TASK_ARGS_USAGE, parseTaskArg, parseValue };
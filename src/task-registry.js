@@ -0,0 +1,275 @@
+// Heavy task stages and their parameters. Shared by main.js (validation
+// before spawning) and worker.js (execution), so it must not depend on Electron.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ALGORITHMS, MAX_NAIVE_FIBONACCI } = require('./algorithms');
+const { SORT_KEYS } = require('./dataset-stream');
+const { parseQuery, STEPS, OPERATORS, AGGREGATES } = require('./query');
+
+const DEFAULT_OUTPUT_PATH = path.join(os.tmpdir(), 'heavy_task_data.json');
+const DEFAULT_SORTED_PATH = path.join(os.tmpdir(), 'heavy_task_sorted.ndjson');
+
+// Worker threads a stage is split across (see shards.js)
+const PARALLELISM_PARAM = { type: 'integer', label: 'Parallel workers (0 = all cores)', min: 0, max: 256, default: 0 };
+
+// Naive or optimised implementations (see algorithms.js)
+const ALGORITHM_PARAM = { type: 'enum', label: 'Algorithm', values: ALGORITHMS, default: 'naive' };
+
+// Stages in execution order. A run executes the selected subset in this order.
+const TASKS = {
+  primes: {
+    label: 'Generate prime numbers',
+    describe: (params) => `Generating ${params.count} prime numbers (${params.algorithm})`,
+    params: {
+      count: { type: 'integer', label: 'Count', min: 1, max: 5000000, default: 10000 },
+      algorithm: ALGORITHM_PARAM,
+      parallelism: PARALLELISM_PARAM
+    }
+  },
+  file: {
+    label: 'Write random data file',
+    describe: (params) => `Generating ${params.sizeMB}MB random data file`,
+    params: {
+      sizeMB: { type: 'integer', label: 'Size (MB)', min: 1, max: 10240, default: 500 },
+      outputPath: { type: 'path', label: 'Output path', default: DEFAULT_OUTPUT_PATH }
+    }
+  },
+  verify: {
+    label: 'Verify data file',
+    describe: (params) => (params.filePath ? `Verifying ${params.filePath}` : 'Verifying the data file'),
+    params: {
+      // Empty: the file stage's output path, or the default one
+      filePath: { type: 'path', label: 'File to verify (empty = output path)', default: '', optional: true, access: 'read' }
+    }
+  },
+  dataset: {
+    label: 'Process JSON dataset',
+    describe: (params) => `Processing ${params.recordCount} JSON records`,
+    params: {
+      recordCount: { type: 'integer', label: 'Records', min: 1, max: 5000000, default: 500000 },
+      // JSON pipeline run over the records (see query.js). The rest is for
+      // the renderer's query builder.
+      query: {
+        type: 'query',
+        label: 'Query (empty = none)',
+        default: '',
+        steps: STEPS,
+        operators: OPERATORS,
+        aggregates: AGGREGATES,
+        fields: ['id', 'name', 'email', 'age', 'score', 'salary', 'metadata.created', 'metadata.tags',
+          'metadata.preferences.theme', 'metadata.preferences.notifications', 'metadata.preferences.language']
+      }
+    }
+  },
+  stream: {
+    label: 'Stream dataset file',
+    describe: (params) => `Streaming ${params.inputPath || `${params.syntheticRecords} generated records`}${params.sortBy === 'none' ? '' : `, sorted by ${params.sortBy}`}`,
+    params: {
+      // Empty: stream generated records, as the dataset stage builds them
+      inputPath: { type: 'path', label: 'Dataset file (empty = generated records)', default: '', optional: true, access: 'read' },
+      format: { type: 'enum', label: 'Format (auto = by extension)', values: ['auto', 'ndjson', 'csv'], default: 'auto' },
+      syntheticRecords: { type: 'integer', label: 'Generated records', min: 1, max: 100000000, default: 500000 },
+      sortBy: { type: 'enum', label: 'Sort by', values: ['none', ...Object.keys(SORT_KEYS)], default: 'none' },
+      sortOutputPath: { type: 'path', label: 'Sorted output path', default: DEFAULT_SORTED_PATH },
+      memoryBudgetMB: { type: 'integer', label: 'Memory budget (MB)', min: 1, max: 16384, default: 64 }
+    },
+    validate: (params) => (params.sortBy !== 'none' && params.inputPath === params.sortOutputPath
+      ? ['the sorted output would overwrite the dataset file']
+      : [])
+  },
+  calculations: {
+    label: 'Matrix, Fibonacci and hashing',
+    describe: (params) => `Performing ${params.matrixSize}x${params.matrixSize} matrix, fib(${params.fibonacci}) and hash calculations (${params.algorithm})`,
+    params: {
+      matrixSize: { type: 'integer', label: 'Matrix size', min: 1, max: 2000, default: 500 },
+      fibonacci: { type: 'integer', label: 'Fibonacci up to', min: 1, max: 10000, default: 45 },
+      hashIterations: { type: 'integer', label: 'Hash iterations', min: 0, max: 10000000, default: 100000 },
+      algorithm: ALGORITHM_PARAM,
+      parallelism: PARALLELISM_PARAM
+    },
+    // Recursive Fibonacci takes exponential time
+    validate: (params) => (params.algorithm === 'naive' && params.fibonacci > MAX_NAIVE_FIBONACCI
+      ? [`fibonacci above ${MAX_NAIVE_FIBONACCI} needs the optimised algorithm`]
+      : [])
+  }
+};
+
+const TASK_ORDER = Object.keys(TASKS);
+
+// Per-worker resource limits. 0 disables a limit.
+const LIMITS = {
+  timeoutSec: { type: 'integer', label: 'Timeout (s)', min: 0, max: 86400, default: 600 },
+  maxHeapMB: { type: 'integer', label: 'Max heap (MB)', min: 0, max: 65536, default: 2048 },
+  maxRssMB: { type: 'integer', label: 'Max RSS (MB)', min: 0, max: 65536, default: 3072 }
+};
+
+class TaskOptionsError extends Error {
+  constructor(errors) {
+    super(`Invalid task options: ${errors.join('; ')}`);
+    this.name = 'TaskOptionsError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Normalise and validate run options of the form
+ *   { stages: ['primes', 'file'], params: { file: { sizeMB: 10 } }, limits: { timeoutSec: 60 } }
+ * Missing stages mean "all stages"; missing params and limits take their defaults.
+ * Throws TaskOptionsError listing every problem found.
+ *
+ * @param {object} options
+ * @param {object} [config]
+ * @param {boolean} [config.checkPaths] - also check output paths on disk
+ * @param {object} [config.defaults] - { params, limits } overriding the registry
+ *   defaults, e.g. from the settings file
+ */
+function validateTaskOptions(options = {}, { checkPaths = false, defaults = {} } = {}) {
+  const errors = [];
+
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new TaskOptionsError(['options must be an object']);
+  }
+
+  let stages = options.stages === undefined ? TASK_ORDER : options.stages;
+  if (!Array.isArray(stages) || stages.length === 0) {
+    errors.push('stages must be a non-empty array');
+    stages = [];
+  }
+
+  stages.filter(stage => !TASKS[stage])
+    .forEach(stage => errors.push(`unknown stage "${stage}"`));
+
+  const selected = TASK_ORDER.filter(stage => stages.includes(stage));
+  const rawParams = options.params || {};
+  const params = {};
+
+  selected.forEach(stage => {
+    params[stage] = {};
+    const given = rawParams[stage] || {};
+    const stageDefaults = (defaults.params || {})[stage] || {};
+
+    Object.keys(given)
+      .filter(name => !TASKS[stage].params[name])
+      .forEach(name => errors.push(`${stage}: unknown parameter "${name}"`));
+
+    let paramsValid = true;
+    Object.entries(TASKS[stage].params).forEach(([name, spec]) => {
+      const value = valueOrDefault(given[name], stageDefaults[name], spec);
+      const error = validateParam(value, spec, checkPaths);
+      if (error) {
+        errors.push(`${stage}.${name} ${error}`);
+        paramsValid = false;
+      }
+      params[stage][name] = value;
+    });
+
+    // Checks across parameters, once each one is valid on its own
+    if (paramsValid && TASKS[stage].validate) {
+      TASKS[stage].validate(params[stage]).forEach(error => errors.push(`${stage}: ${error}`));
+    }
+  });
+
+  const limits = {};
+  const givenLimits = options.limits || {};
+  Object.keys(givenLimits)
+    .filter(name => !LIMITS[name])
+    .forEach(name => errors.push(`unknown limit "${name}"`));
+  Object.entries(LIMITS).forEach(([name, spec]) => {
+    const value = valueOrDefault(givenLimits[name], (defaults.limits || {})[name], spec);
+    const error = validateParam(value, spec, checkPaths);
+    if (error) {
+      errors.push(`limits.${name} ${error}`);
+    }
+    limits[name] = value;
+  });
+
+  if (errors.length > 0) {
+    throw new TaskOptionsError(errors);
+  }
+
+  return { stages: selected, params, limits };
+}
+
+function valueOrDefault(value, configured, spec) {
+  if (value !== undefined && value !== '') return value;
+  return configured === undefined ? spec.default : configured;
+}
+
+function validateParam(value, spec, checkPaths) {
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (value < spec.min || value > spec.max) return `must be between ${spec.min} and ${spec.max}`;
+      return null;
+    case 'path':
+      if (spec.optional && value === '') return null;
+      if (typeof value !== 'string' || !path.isAbsolute(value)) return 'must be an absolute path';
+      if (!checkPaths) return null;
+      return spec.access === 'read' ? checkReadablePath(value) : checkWritablePath(value);
+    case 'enum':
+      if (!spec.values.includes(value)) return `must be one of ${spec.values.join(', ')}`;
+      return null;
+    case 'query':
+      if (typeof value !== 'string') return 'must be a JSON pipeline as text';
+      try {
+        parseQuery(value);
+        return null;
+      } catch (error) {
+        return error.errors ? error.errors.join('; ') : error.message;
+      }
+    default:
+      return `has unsupported type "${spec.type}"`;
+  }
+}
+
+// A file that does not exist yet is fine: an earlier stage may write it
+function checkReadablePath(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    if (fs.statSync(filePath).isDirectory()) return 'is a directory';
+    fs.accessSync(filePath, fs.constants.R_OK);
+    return null;
+  } catch (error) {
+    return `is not readable (${error.code || error.message})`;
+  }
+}
+
+function checkWritablePath(filePath) {
+  try {
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      return 'is a directory';
+    }
+    fs.accessSync(path.dirname(filePath), fs.constants.W_OK);
+    return null;
+  } catch (error) {
+    return `is not writable (${error.code || error.message})`;
+  }
+}
+
+// Plain-data view of the registry for the renderer (no functions), with
+// `defaults` ({ params, limits }) replacing the built-in default values
+function describeTasks(defaults = {}) {
+  const withDefault = (spec, configured) => (configured === undefined ? spec : { ...spec, default: configured });
+  return {
+    tasks: TASK_ORDER.map(id => ({
+      id,
+      label: TASKS[id].label,
+      params: Object.entries(TASKS[id].params)
+        .map(([name, spec]) => ({ name, ...withDefault(spec, ((defaults.params || {})[id] || {})[name]) }))
+    })),
+    limits: Object.entries(LIMITS)
+      .map(([name, spec]) => ({ name, ...withDefault(spec, (defaults.limits || {})[name]) }))
+  };
+}
+
+module.exports = {
+  TASKS,
+  TASK_ORDER,
+  LIMITS,
+  DEFAULT_OUTPUT_PATH,
+  TaskOptionsError,
+  validateTaskOptions,
+  validateParam,
+  describeTasks
+};
@@ -0,0 +1,180 @@
+// Runs HeavyTaskWorker in worker threads inside the main process. Threads
+// start much faster and use far less memory than a child process, but a
+// task that crashes natively or blocks on a sync call shares the app's fate.
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { WorkerRunner } = require('./worker-runner');
+const { logger } = require('./logger');
+
+const log = logger.child('threads');
+
+// Idle threads are kept this long for the next job, then stopped
+const IDLE_TIMEOUT_MS = 60000;
+
+/**
+ * Keeps finished threads around for the next job. A thread's heap limit is
+ * fixed when it starts, so threads are only reused for the same maxHeapMB.
+ */
+class ThreadPool {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.workerPath] - script each thread runs
+   * @param {number} [options.maxIdle] - idle threads kept, e.g. the job concurrency
+   * @param {number} [options.idleTimeoutMs] - stop idle threads after this long
+   */
+  constructor({ workerPath = path.join(__dirname, 'worker.js'), maxIdle = 2, idleTimeoutMs = IDLE_TIMEOUT_MS } = {}) {
+    this.workerPath = workerPath;
+    this.maxIdle = maxIdle;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.threads = new Map(); // thread -> maxHeapMB, for every live thread
+    this.idle = []; // [{ thread, timer }]
+  }
+
+  acquire(maxHeapMB = 0) {
+    const index = this.idle.findIndex(entry => this.threads.get(entry.thread) === maxHeapMB);
+    if (index !== -1) {
+      const [{ thread, timer }] = this.idle.splice(index, 1);
+      clearTimeout(timer);
+      return thread;
+    }
+
+    const thread = new Worker(this.workerPath, {
+      stdout: true,
+      stderr: true,
+      resourceLimits: maxHeapMB > 0 ? { maxOldGenerationSizeMb: maxHeapMB } : {}
+    });
+    this.threads.set(thread, maxHeapMB);
+    // Killed, out of memory or crashed: forget it
+    thread.once('exit', () => {
+      this.threads.delete(thread);
+      this.removeIdle(thread);
+    });
+    log.debug(`🧵 Started worker thread ${thread.threadId} (${this.threads.size} in pool)`);
+    return thread;
+  }
+
+  // Hand back a thread that finished its task and is ready for another
+  release(thread) {
+    if (!this.threads.has(thread)) return;
+    if (this.idle.length >= this.maxIdle) {
+      thread.terminate();
+      return;
+    }
+    const timer = setTimeout(() => this.discard(thread), this.idleTimeoutMs);
+    this.idle.push({ thread, timer });
+  }
+
+  discard(thread) {
+    this.removeIdle(thread);
+    thread.terminate();
+  }
+
+  removeIdle(thread) {
+    const index = this.idle.findIndex(entry => entry.thread === thread);
+    if (index !== -1) {
+      clearTimeout(this.idle[index].timer);
+      this.idle.splice(index, 1);
+    }
+  }
+
+  setMaxIdle(maxIdle) {
+    this.maxIdle = maxIdle;
+    this.idle.slice(maxIdle).forEach(({ thread }) => this.discard(thread));
+  }
+
+  getStats() {
+    return { threads: this.threads.size, idle: this.idle.length };
+  }
+
+  destroy() {
+    [...this.threads.keys()].forEach(thread => this.discard(thread));
+  }
+}
+
+/**
+ * WorkerRunner for a pooled thread: same events, exit result and limits,
+ * except maxRssMB, which a thread cannot be held to - it shares the app's RSS.
+ * Heap limits are enforced by V8 (resourceLimits), and timeouts and
+ * cancellation past the grace period terminate the thread.
+ */
+class ThreadRunner extends WorkerRunner {
+  /**
+   * @param {object} options - as for WorkerRunner, plus
+   * @param {ThreadPool} options.pool - where threads come from
+   */
+  constructor(options = {}) {
+    super(options);
+    this.backend = 'thread';
+    this.pool = options.pool;
+    this.listeners = [];
+    this.threadDone = false; // The thread finished the task and can be reused
+    this.eluStart = null;
+  }
+
+  spawnWorker() {
+    const thread = this.pool.acquire(this.limits.maxHeapMB);
+    this.worker = thread;
+    this.eluStart = thread.performance.eventLoopUtilization();
+
+    if (this.limits.maxRssMB > 0) {
+      this.log.debug('maxRssMB is not enforced for worker threads');
+    }
+
+    this.listen(thread, 'message', (message) => {
+      if (message && message.type === 'done') {
+        this.threadDone = true;
+        this.handleExit(message.code);
+      } else {
+        this.handleMessage(message);
+      }
+    });
+    this.listen(thread.stdout, 'data', (data) => this.emit('output', 'stdout', data.toString()));
+    this.listen(thread.stderr, 'data', (data) => this.emit('output', 'stderr', data.toString()));
+    this.listen(thread, 'error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        this.heapExhausted = true;
+      } else {
+        this.emit('output', 'stderr', `${error.stack || error.message}\n`);
+      }
+    });
+    this.listen(thread, 'exit', (code) => this.handleExit(code));
+
+    thread.postMessage({ type: 'run', options: this.taskOptions, resume: this.resume });
+  }
+
+  listen(emitter, event, listener) {
+    emitter.on(event, listener);
+    this.listeners.push([emitter, event, listener]);
+  }
+
+  sendCancel() {
+    this.worker.postMessage({ type: 'cancel' });
+  }
+
+  kill() {
+    this.forceKilled = true;
+    this.worker.terminate();
+  }
+
+  // A busy thread cannot answer, but its event loop time can be read from
+  // here. Its shards' CPU time arrives with its usage messages instead.
+  async sampleUsage() {
+    if (this.finished) return;
+    const elu = this.worker.performance.eventLoopUtilization(this.eluStart);
+    this.recordUsage({ cpuSeconds: elu.active / 1000 });
+  }
+
+  finish(result) {
+    if (this.finished) return;
+    this.listeners.forEach(([emitter, event, listener]) => emitter.removeListener(event, listener));
+    this.listeners = [];
+    if (this.threadDone && !this.forceKilled) {
+      this.pool.release(this.worker);
+    } else if (!this.threadDone) {
+      this.pool.discard(this.worker);
+    }
+    super.finish(result);
+  }
+}
+
+module.exports = { ThreadPool, ThreadRunner };
@@ -0,0 +1,125 @@
+// Tray menu and tooltip built from the app's current state. Kept free of
+// Electron so main.js only turns the template into a Menu.
+const { JOB_STATES } = require('./job-manager');
+
+// Finished jobs listed in the menu
+const RECENT_RESULTS = 5;
+
+const STATE_ICONS = {
+  [JOB_STATES.SUCCEEDED]: '✅',
+  [JOB_STATES.FAILED]: '❌',
+  [JOB_STATES.CANCELLED]: '⏹️'
+};
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// "job-3-a1b2c3 primes 42%", or without the percent before the first progress message
+function describeActiveJob(job) {
+  const stage = job.progress ? job.progress.stage : job.options.stages[0];
+  const percent = job.progress ? ` ${Math.round(job.progress.overallPercent)}%` : '';
+  return `${job.id} ${stage}${percent}`;
+}
+
+/**
+ * One-line status for the tray tooltip.
+ * @param {object} state - see buildTrayTemplate()
+ */
+function formatTooltip({ jobs, safeMode }) {
+  const running = jobs.filter(job => job.state === JOB_STATES.RUNNING);
+  const queued = jobs.filter(job => job.state === JOB_STATES.QUEUED).length;
+  let status;
+  if (running.length === 1) {
+    status = describeActiveJob(running[0]);
+  } else if (running.length > 1) {
+    status = `${running.length} jobs running`;
+  } else {
+    status = 'idle';
+  }
+  const parts = [status];
+  if (queued > 0) parts.push(`${queued} queued`);
+  if (safeMode) parts.push('safe mode');
+  return `System Resilient App - ${parts.join(', ')}`;
+}
+
+/**
+ * Menu template for Menu.buildFromTemplate().
+ *
+ * @param {object} state
+ * @param {object[]} state.jobs - JobManager snapshots of queued and running jobs
+ * @param {object[]} state.recentRuns - finished runs, newest first (see RunHistory)
+ * @param {number} state.uptimeSec
+ * @param {number} state.restartCount
+ * @param {boolean} state.autoRestart - the restart.autoRestart setting is on
+ * @param {object|null} state.safeMode
+ * @param {boolean} state.windowVisible
+ * @param {object} actions - show(), hide(), startTask(), cancelJob(id),
+ *   cancelAll(), setAutoRestart(enabled), forceQuit()
+ */
+function buildTrayTemplate(state, actions) {
+  const { jobs, recentRuns, safeMode } = state;
+  const running = jobs.filter(job => job.state === JOB_STATES.RUNNING);
+  const queued = jobs.filter(job => job.state === JOB_STATES.QUEUED);
+
+  const jobItems = running.length > 0
+    ? running.map(job => ({ label: `▶️ ${describeActiveJob(job)}`, enabled: false }))
+    : [{ label: 'No task running', enabled: false }];
+  if (queued.length > 0) {
+    jobItems.push({ label: `${queued.length} queued`, enabled: false });
+  }
+
+  const resultItems = recentRuns.slice(0, RECENT_RESULTS).map(run => ({
+    label: `${STATE_ICONS[run.state] || ''} ${run.options.stages.join(', ')}${run.durationMs !== null ? ` (${formatDuration(run.durationMs)})` : ''}`,
+    enabled: false
+  }));
+
+  return [
+    ...jobItems,
+    { type: 'separator' },
+    {
+      label: safeMode ? 'Start Task (disabled in safe mode)' : 'Start Task',
+      enabled: !safeMode,
+      click: () => actions.startTask()
+    },
+    {
+      label: 'Cancel Task',
+      enabled: jobs.length > 0,
+      submenu: [
+        ...jobs.map(job => ({ label: describeActiveJob(job), click: () => actions.cancelJob(job.id) })),
+        { type: 'separator' },
+        { label: 'Cancel All', click: () => actions.cancelAll() }
+      ]
+    },
+    {
+      label: 'Recent Results',
+      enabled: resultItems.length > 0,
+      submenu: resultItems.length > 0 ? resultItems : [{ label: 'None', enabled: false }]
+    },
+    { type: 'separator' },
+    { label: `Up ${formatDuration(state.uptimeSec * 1000)}, ${state.restartCount} restart${state.restartCount === 1 ? '' : 's'}`, enabled: false },
+    {
+      label: safeMode ? 'Auto-Restart (off in safe mode)' : 'Auto-Restart',
+      type: 'checkbox',
+      checked: state.autoRestart && !safeMode,
+      enabled: !safeMode,
+      click: (item) => actions.setAutoRestart(item.checked)
+    },
+    { type: 'separator' },
+    state.windowVisible
+      ? { label: 'Hide App', click: () => actions.hide() }
+      : { label: 'Show App', click: () => actions.show() },
+    {
+      label: 'Force Quit',
+      click: () => actions.forceQuit()
+    }
+  ];
+}
+
+module.exports = { buildTrayTemplate, formatTooltip, formatDuration };
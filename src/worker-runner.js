@@ -0,0 +1,250 @@
+// Runs a single HeavyTaskWorker in a separate Electron-as-node process.
+// ThreadRunner (thread-pool.js) builds on it to run one in a worker thread.
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { sampleProcessUsage } = require('./process-usage');
+const { logger } = require('./logger');
+
+// How long a cancelled worker gets to stop on its own before it is killed
+const CANCEL_GRACE_PERIOD_MS = 5000;
+
+// How often the worker's RSS and CPU time are sampled from outside
+const USAGE_SAMPLE_INTERVAL_MS = 500;
+
+const MB = 1024 * 1024;
+
+/**
+ * Events:
+ *  - 'progress' (progress)        structured progress message from the worker
+ *  - 'stage-result' (stageResult) { stage, label, startedAt, durationMs, result } once a stage completes
+ *  - 'checkpoint' ({ stage, state }) how far the running stage got, to resume it from later
+ *  - 'output'   (stream, text)    raw stdout/stderr text
+ *  - 'exit'     (result)          emitted exactly once when the worker is gone
+ *
+ * The exit result always carries usage figures:
+ *   { success, code, backend, limit, peakRssMB, peakHeapMB, cpuSeconds, durationMs, stages, ... }
+ * where `limit` names the limit that tripped ('timeout', 'rss' or 'heap') or is null,
+ * and `stages` lists the stage results received, also for runs that failed part way.
+ */
+class WorkerRunner extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.backend = 'process'; // Reported in the exit result, so the UI can show where a job ran
+    this.workerPath = options.workerPath || path.join(__dirname, 'worker.js');
+    this.taskOptions = options.taskOptions || {};
+    // { stages, checkpoint } of the interrupted run this one resumes, or null
+    this.resume = options.resume || null;
+    this.limits = this.taskOptions.limits || {};
+    this.graceMs = options.graceMs || CANCEL_GRACE_PERIOD_MS;
+    this.log = options.log || logger.child('worker');
+    this.worker = null;
+    this.cancelRequested = false;
+    this.forceKilled = false;
+    this.killTimer = null;
+    this.timeoutTimer = null;
+    this.sampleTimer = null;
+    this.partialFile = null;
+    this.finished = false;
+    this.limitTripped = null;
+    this.heapExhausted = false;
+    this.startTime = null;
+    this.peakRssBytes = 0;
+    this.peakHeapBytes = 0;
+    this.cpuSeconds = 0;
+    this.stageResults = [];
+  }
+
+  start() {
+    this.startTime = Date.now();
+    this.spawnWorker();
+
+    if (this.limits.timeoutSec > 0) {
+      this.timeoutTimer = setTimeout(() => this.tripLimit('timeout'), this.limits.timeoutSec * 1000);
+    }
+    this.sampleTimer = setInterval(() => this.sampleUsage(), USAGE_SAMPLE_INTERVAL_MS);
+
+    return this;
+  }
+
+  spawnWorker() {
+    // V8 enforces the heap ceiling itself; RSS is sampled below
+    const execArgs = this.limits.maxHeapMB > 0 ? [`--max-old-space-size=${this.limits.maxHeapMB}`] : [];
+
+    // Use Electron's node executable for consistency. The extra 'ipc'
+    // channel carries structured progress events from the worker.
+    this.worker = spawn(process.execPath, [...execArgs, this.workerPath], {
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+      env: {
+        ...process.env,
+        ELECTRON_RUN_AS_NODE: '1',
+        HEAVY_TASK_OPTIONS: JSON.stringify(this.taskOptions),
+        HEAVY_TASK_RESUME: this.resume ? JSON.stringify(this.resume) : ''
+      }
+    });
+
+    this.worker.on('message', (message) => this.handleMessage(message));
+
+    this.worker.stdout.on('data', (data) => {
+      this.emit('output', 'stdout', data.toString());
+    });
+
+    this.worker.stderr.on('data', (data) => {
+      const text = data.toString();
+      if (/heap out of memory/i.test(text)) {
+        this.heapExhausted = true;
+      }
+      this.emit('output', 'stderr', text);
+    });
+
+    this.worker.on('close', (code, signal) => this.handleExit(code, signal));
+
+    this.worker.on('error', (error) => {
+      this.finish({ success: false, error: error.message });
+    });
+  }
+
+  // Messages from HeavyTaskWorker, the same for every backend
+  handleMessage(message) {
+    if (!message) return;
+    if (message.type === 'progress') {
+      this.emit('progress', message);
+    } else if (message.type === 'usage') {
+      this.recordUsage(message);
+    } else if (message.type === 'partial-file') {
+      this.partialFile = message.path;
+    } else if (message.type === 'stage-result') {
+      const { stage, label, startedAt, durationMs, result } = message;
+      const stageResult = { stage, label, startedAt, durationMs, result };
+      this.stageResults.push(stageResult);
+      this.emit('stage-result', stageResult);
+    } else if (message.type === 'checkpoint') {
+      this.emit('checkpoint', { stage: message.stage, state: message.state });
+    }
+  }
+
+  handleExit(code, signal = null) {
+    this.removePartialFile();
+
+    if (this.limitTripped || this.heapExhausted) {
+      const limit = this.limitTripped || 'heap';
+      this.finish({ success: false, code, signal, limit, error: this.describeLimit(limit) });
+      return;
+    }
+
+    if (this.cancelRequested) {
+      this.finish({ success: false, cancelled: true, forced: this.forceKilled, code, signal });
+      return;
+    }
+
+    if (code === 0) {
+      this.finish({ success: true, code });
+    } else {
+      this.finish({ success: false, code, signal, error: `Worker exited with code ${code}${signal ? ` (${signal})` : ''}` });
+    }
+  }
+
+  // Ask the worker to stop at its next yield point, and kill it if it
+  // has not exited once the grace period is over
+  cancel() {
+    if (this.cancelRequested || this.finished) return;
+    this.cancelRequested = true;
+    this.sendCancel();
+
+    this.killTimer = setTimeout(() => {
+      this.log.warn(`⚠️ Worker did not stop within ${this.graceMs}ms - killing it`);
+      this.kill();
+    }, this.graceMs);
+  }
+
+  // Limits are hard: the worker is killed straight away, not asked to stop
+  tripLimit(limit) {
+    if (this.limitTripped || this.finished) return;
+    this.limitTripped = limit;
+    this.log.warn(`⚠️ Killing worker: ${this.describeLimit(limit)}`);
+    this.kill();
+  }
+
+  sendCancel() {
+    if (this.worker.connected) {
+      this.worker.send({ type: 'cancel' });
+    }
+  }
+
+  kill() {
+    this.forceKilled = true;
+    this.worker.kill('SIGKILL');
+  }
+
+  async sampleUsage() {
+    if (this.finished || !this.worker.pid) return;
+    const usage = await sampleProcessUsage(this.worker.pid);
+    if (usage && !this.finished) {
+      this.recordUsage(usage);
+    }
+  }
+
+  // Usage comes both from our own sampling and from the worker's reports;
+  // keep the highest figures seen from either source
+  recordUsage({ rssBytes, heapUsedBytes, cpuSeconds }) {
+    this.peakRssBytes = Math.max(this.peakRssBytes, rssBytes || 0);
+    this.peakHeapBytes = Math.max(this.peakHeapBytes, heapUsedBytes || 0);
+    this.cpuSeconds = Math.max(this.cpuSeconds, cpuSeconds || 0);
+
+    if (this.limits.maxRssMB > 0 && rssBytes > this.limits.maxRssMB * MB) {
+      this.tripLimit('rss');
+    }
+  }
+
+  describeLimit(limit) {
+    switch (limit) {
+      case 'timeout':
+        return `Exceeded wall-clock timeout of ${this.limits.timeoutSec}s`;
+      case 'rss':
+        return `Exceeded memory limit of ${this.limits.maxRssMB}MB RSS`;
+      case 'heap':
+        return `Exceeded heap limit of ${this.limits.maxHeapMB}MB`;
+      default:
+        return `Exceeded ${limit} limit`;
+    }
+  }
+
+  finish(result) {
+    if (this.finished) return;
+    this.finished = true;
+    clearTimeout(this.killTimer);
+    clearTimeout(this.timeoutTimer);
+    clearInterval(this.sampleTimer);
+
+    this.emit('exit', {
+      limit: null,
+      ...result,
+      backend: this.backend,
+      // Worker threads share the app's RSS, so only their heap is measured
+      peakRssMB: this.backend === 'process' ? Math.round((this.peakRssBytes / MB) * 10) / 10 : null,
+      peakHeapMB: Math.round((this.peakHeapBytes / MB) * 10) / 10,
+      cpuSeconds: Math.round(this.cpuSeconds * 100) / 100,
+      durationMs: Date.now() - this.startTime,
+      stages: this.stageResults
+    });
+  }
+
+  // The worker clears its partial file on success and removes it when
+  // cancelled; anything still reported here was left by a killed or crashed
+  // worker. Such a job has failed and will not be resumed. (A worker whose
+  // app went away keeps its file: nothing is left here to remove it.)
+  removePartialFile() {
+    if (!this.partialFile) return;
+    try {
+      fs.unlinkSync(this.partialFile);
+      this.log.info(`🧹 Removed partial file ${this.partialFile}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.warn('⚠️ Could not remove partial file:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = { WorkerRunner, CANCEL_GRACE_PERIOD_MS };
@@ -1,105 +1,392 @@
-// CPU-intensive worker process
+// CPU-intensive heavy task worker. Runs as a child process (WorkerRunner)
+// or in a pooled worker thread inside the main process (ThreadRunner).
 const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
+const { isMainThread, parentPort } = require('worker_threads');
+const { performance } = require('perf_hooks');
+
+const { TASKS, DEFAULT_OUTPUT_PATH, validateTaskOptions } = require('./task-registry');
+const { runShards, splitRange, resolveParallelism } = require('./shards');
+const { FIBONACCI, formatFibonacci } = require('./algorithms');
+const { RAW_CHUNK_BYTES, chunkCount, formatChunk, verifyDataFile } = require('./data-file');
+const { streamDataset } = require('./dataset-stream');
+const { parseQuery, runQuery } = require('./query');
+
+// Maps each registry stage to the method that runs it. Each resolves with
+// a small JSON-serialisable result that is sent to the main process.
+const STAGE_RUNNERS = {
+  primes: (worker, params) => worker.generateLargePrimes(params),
+  file: (worker, params) => worker.generateRandomDataFile(params.sizeMB, params.outputPath),
+  // Without a path, check the file this run wrote, or the default one
+  verify: (worker, params) => worker.verifyRandomDataFile(
+    params.filePath || (worker.options.params.file ? worker.options.params.file.outputPath : DEFAULT_OUTPUT_PATH)
+  ),
+  dataset: (worker, params) => worker.processLargeJsonDataset(params.recordCount, params.query),
+  stream: (worker, params) => worker.streamDatasetFile(params),
+  calculations: (worker, params) => worker.performComplexCalculations(params)
+};
+
+// Minimum time between two progress messages for the same stage
+const PROGRESS_INTERVAL_MS = 200;
+
+// How often the worker reports its own memory and CPU usage
+const USAGE_INTERVAL_MS = 500;
+
+// Exit code used when the task stopped because cancellation was requested
+const EXIT_CODE_CANCELLED = 3;
+
+// Minimum time between two checkpoints of the same stage
+const CHECKPOINT_INTERVAL_MS = 1000;
+
+// The primes stage searches its range in this many rounds, checkpointing
+// after each one
+const PRIME_ROUNDS = 10;
+
+class TaskCancelledError extends Error {
+  constructor(stage) {
+    super(`Task cancelled during stage "${stage}"`);
+    this.name = 'TaskCancelledError';
+    this.stage = stage;
+  }
+}
+
+// A stage that completed with a result that fails the run, e.g. a data
+// file that did not verify. The result is still reported.
+class StageFailedError extends Error {
+  constructor(stage, message, result) {
+    super(message);
+    this.name = 'StageFailedError';
+    this.stage = stage;
+    this.result = result;
+  }
+}
 
 class HeavyTaskWorker {
-  constructor() {
+  /**
+   * @param {object} options - run options as accepted by validateTaskOptions()
+   * @param {function} transport - (message, callback) delivers a message to the main process
+   * @param {object} [resume] - { stages, checkpoint } saved by an interrupted run
+   *   with these options (see checkpoints.js): completed stages are skipped
+   *   and the stage that was running continues from its checkpoint
+   */
+  constructor(options, transport, resume = null) {
+    this.options = options;
+    this.transport = transport;
+    this.resume = resume;
     this.startTime = Date.now();
-    this.runTask();
+    this.eluStart = performance.eventLoopUtilization();
+    this.currentStage = null;
+    this.cancelRequested = false;
+    this.suspended = false; // Stopping to be resumed later, not cancelled
+    this.lastCheckpoint = 0;
+    this.partialFilePath = null; // Set while the data file is incomplete
+    this.shardCpuSeconds = 0; // CPU time of every shard thread so far
+  }
+
+  cancel() {
+    console.log('Cancellation requested - stopping at next yield point');
+    this.cancelRequested = true;
+  }
+
+  // The app went away: stop like cancel() but keep the partial file, so
+  // the run can continue from its last checkpoint
+  suspend() {
+    console.log('Suspending - stopping at next yield point, keeping the checkpoint');
+    this.suspended = true;
+    this.cancelRequested = true;
+  }
+
+  // Resolves with the exit code: 0, 1 or EXIT_CODE_CANCELLED
+  async run() {
+    // Only fires at yield points; main.js also samples us from outside
+    const usageTimer = setInterval(() => this.reportUsage(), USAGE_INTERVAL_MS);
+    usageTimer.unref();
+    try {
+      await this.runStages();
+      return 0;
+    } catch (error) {
+      if (error instanceof TaskCancelledError && this.suspended) {
+        console.log(`Suspended during stage "${error.stage}"`);
+        return EXIT_CODE_CANCELLED;
+      }
+      if (error instanceof TaskCancelledError) {
+        this.removePartialFile();
+        console.log(error.message);
+        this.send({ type: 'cancelled', stage: error.stage, timestamp: Date.now() });
+        return EXIT_CODE_CANCELLED;
+      }
+      // The stage already reported its result; the message says it all
+      console.error('Heavy task failed:', error instanceof StageFailedError ? error.message : error);
+      return 1;
+    } finally {
+      clearInterval(usageTimer);
+    }
+  }
+
+  // In a thread, RSS and CPU time belong to the whole app: report the
+  // thread's own heap, and its busy event loop time plus that of its shard
+  // threads as CPU time. A process's CPU time already covers its shards.
+  reportUsage(callback) {
+    const memory = process.memoryUsage();
+    let rssBytes = null;
+    let cpuSeconds;
+    if (isMainThread) {
+      const cpu = process.cpuUsage();
+      rssBytes = memory.rss;
+      cpuSeconds = (cpu.user + cpu.system) / 1e6;
+    } else {
+      cpuSeconds = performance.eventLoopUtilization(this.eluStart).active / 1000 + this.shardCpuSeconds;
+    }
+    this.send({ type: 'usage', rssBytes, heapUsedBytes: memory.heapUsed, cpuSeconds }, callback);
   }
 
-  async runTask() {
+  async runStages() {
     console.log('Starting heavy task...');
+    const { stages, params } = this.options;
+    // Results of the stages an interrupted run already completed
+    const completed = new Map((this.resume ? this.resume.stages : []).map(entry => [entry.stage, entry]));
     
-    console.log('Task 1: Generating large prime numbers...');
-    await this.generateLargePrimes(10000); 
-    
-    console.log('Task 2: Generating 500MB random data file...');
-    await this.generateRandomDataFile();
-    
-    console.log('Task 3: Processing large JSON dataset...');
-    await this.processLargeJsonDataset();
-    
-    console.log('Task 4: Performing complex mathematical calculations...');
-    await this.performComplexCalculations();
+    for (let index = 0; index < stages.length; index++) {
+      const stage = stages[index];
+      const label = TASKS[stage].describe(params[stage]);
+      this.beginStage(stage, label, index);
+      
+      if (completed.has(stage)) {
+        console.log(`Task ${index + 1}: ${label} - completed before the restart, skipped`);
+        this.reportProgress({ percent: 100, detail: 'Completed before the restart' }, true);
+        this.send({ type: 'stage-result', ...completed.get(stage) });
+        continue;
+      }
+      console.log(`Task ${index + 1}: ${label}...`);
+      
+      let result;
+      let failure = null;
+      try {
+        result = await STAGE_RUNNERS[stage](this, params[stage]);
+      } catch (error) {
+        if (!(error instanceof StageFailedError)) throw error;
+        failure = error;
+        result = error.result;
+      }
+      
+      this.reportProgress({ percent: 100 }, true);
+      this.send({
+        type: 'stage-result',
+        stage,
+        label,
+        startedAt: this.currentStage.startTime,
+        durationMs: Date.now() - this.currentStage.startTime,
+        result: result || null
+      });
+      if (failure) {
+        throw failure;
+      }
+    }
     
     const endTime = Date.now();
     const duration = (endTime - this.startTime) / 1000;
     console.log(`Heavy task completed in ${duration.toFixed(2)} seconds`);
-    
-    process.exit(0);
   }
 
-  async generateLargePrimes(count) {
-    let primes = [];
-    let num = 2;
+  beginStage(id, label, index) {
+    this.currentStage = {
+      id,
+      label,
+      index,
+      startTime: Date.now(),
+      lastReport: 0,
+      bytesWritten: 0,
+      recordsProcessed: 0
+    };
+    this.reportProgress({ percent: 0 }, true);
+  }
+
+  // Emit a structured progress event for the current stage.
+  // Counters are sticky, so callers only pass what changed.
+  reportProgress(update, force = false) {
+    const stage = this.currentStage;
+    if (!stage) return;
     
-    while (primes.length < count) {
-      if (this.isPrime(num)) {
-        primes.push(num);
-      }
-      num++;
-      
-      // Yield control occasionally to prevent complete blocking
-      if (num % 10000 === 0) {
-        await this.sleep(10);
-      }
+    Object.assign(stage, update);
+    
+    const now = Date.now();
+    if (!force && now - stage.lastReport < PROGRESS_INTERVAL_MS) {
+      return;
     }
+    stage.lastReport = now;
+    
+    const percent = Math.max(0, Math.min(100, stage.percent || 0));
+    const elapsedMs = now - stage.startTime;
+    const etaSeconds = percent > 0 && percent < 100
+      ? (elapsedMs / percent) * (100 - percent) / 1000
+      : null;
     
-    console.log(`Generated ${primes.length} prime numbers. Largest: ${primes[primes.length - 1]}`);
-    return primes;
+    this.send({
+      type: 'progress',
+      stage: stage.id,
+      label: stage.label,
+      detail: stage.detail || null,
+      stageIndex: stage.index,
+      stageCount: this.options.stages.length,
+      percent,
+      overallPercent: ((stage.index + percent / 100) / this.options.stages.length) * 100,
+      bytesWritten: stage.bytesWritten,
+      recordsProcessed: stage.recordsProcessed,
+      elapsedSeconds: elapsedMs / 1000,
+      etaSeconds,
+      timestamp: now
+    });
+  }
+
+  send(message, callback) {
+    this.transport(message, callback);
   }
 
-  isPrime(n) {
-    if (n < 2) return false;
-    if (n === 2) return true;
-    if (n % 2 === 0) return false;
+  // The state an interrupted run saved for the current stage, or null.
+  // Handed out once: a stage that starts over does not get it again.
+  takeCheckpoint() {
+    const checkpoint = this.resume && this.resume.checkpoint;
+    if (!checkpoint || checkpoint.stage !== this.currentStage.id) return null;
+    this.resume.checkpoint = null;
+    return checkpoint.state;
+  }
+
+  // Report how far the current stage got; the main process saves it so
+  // the stage can continue from there after a restart
+  checkpoint(state, force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastCheckpoint < CHECKPOINT_INTERVAL_MS) return;
+    this.lastCheckpoint = now;
+    this.send({ type: 'checkpoint', stage: this.currentStage.id, state });
+  }
+
+  async generateLargePrimes({ count, algorithm, parallelism }) {
+    // The count-th prime is below n(ln n + ln ln n) for n >= 6, so the
+    // shards can search fixed ranges up to that bound independently
+    const bound = count < 6 ? 15 : Math.ceil(count * (Math.log(count) + Math.log(Math.log(count))));
+    const threads = resolveParallelism(parallelism);
+    // Trial division of n costs about sqrt(n), so its work from a to x grows
+    // like x^1.5 - a^1.5; sieving costs about the same per number
+    const position = (from, to) => (algorithm === 'naive'
+      ? share => (Math.pow(Math.pow(from, 1.5) + share * (Math.pow(to, 1.5) - Math.pow(from, 1.5)), 2 / 3) - from) / (to - from)
+      : undefined);
+    const total = bound - 1;
     
-    for (let i = 3; i <= Math.sqrt(n); i += 2) {
-      if (n % i === 0) return false;
+    // Rounds of equal work, each split across the threads. A checkpoint
+    // after each round lets an interrupted run continue from there.
+    const resumed = this.takeCheckpoint();
+    let found = resumed ? resumed.found : 0;
+    let largest = resumed ? resumed.largest : undefined;
+    let checkedUpTo = resumed ? resumed.checkedUpTo : 1;
+    if (resumed) {
+      console.log(`Resuming after ${checkedUpTo} with ${found} primes found`);
     }
-    return true;
+    const rounds = splitRange(checkedUpTo + 1, bound + 1, PRIME_ROUNDS, position(checkedUpTo + 1, bound + 1));
+    
+    const shards = [];
+    for (const round of rounds) {
+      if (found >= count) break;
+      const ranges = splitRange(round.from, round.to, threads, position(round.from, round.to))
+        .map(range => ({ ...range, algorithm }));
+      const checkedBefore = round.from - 2;
+      const roundShards = await this.runShardedStep('primes', ranges, (done) => {
+        this.reportProgress({
+          percent: ((checkedBefore + done) / total) * 100,
+          detail: `Checked ${checkedBefore + done} of ${total} numbers on ${ranges.length} threads`
+        });
+      });
+      
+      // Shards are in range order, so the primes arrive sorted
+      for (const shard of roundShards) {
+        if (found >= count) break;
+        const taken = Math.min(shard.result.length, count - found);
+        if (taken > 0) {
+          largest = shard.result[taken - 1];
+          found += taken;
+        }
+      }
+      shards.push(...roundShards);
+      checkedUpTo = round.to - 1;
+      this.checkpoint({ checkedUpTo, found, largest }, true);
+    }
+    
+    console.log(`Generated ${found} prime numbers (${algorithm}) on ${threads} threads. Largest: ${largest}`);
+    return {
+      count: found,
+      largest,
+      numbersChecked: checkedUpTo - 1,
+      resumedFrom: resumed ? resumed.checkedUpTo : null,
+      algorithm,
+      parallelism: threads,
+      shards: this.describeShards(shards)
+    };
   }
 
-  async generateRandomDataFile() {
-    const filePath = path.join(require('os').tmpdir(), 'heavy_task_data.json');
-    const chunkSize = 1024 * 1024; // 1MB chunks
-    const totalSize = 500 * 1024 * 1024; // 500MB
-    let written = 0;
+  // NDJSON chunks in the format data-file.js verifies. An interrupted run
+  // appends to the chunks it had written.
+  async generateRandomDataFile(sizeMB, filePath) {
+    const totalChunks = chunkCount(sizeMB);
+    const resumed = this.resumableDataFile(this.takeCheckpoint(), filePath, totalChunks);
+    let written = resumed ? resumed.bytesWritten : 0;
+    let chunks = resumed ? resumed.chunks : 0;
     
-    const writeStream = fs.createWriteStream(filePath);
+    const writeStream = fs.createWriteStream(filePath, { flags: resumed ? 'a' : 'w' });
+    this.setPartialFile(filePath);
     
     return new Promise((resolve, reject) => {
+      let failed = false;
+      // Release the file descriptor before rejecting, as on cancel
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        if (writeStream.closed) {
+          reject(error);
+          return;
+        }
+        writeStream.destroy();
+        writeStream.once('close', () => reject(error));
+      };
+      writeStream.on('error', fail);
+      
       const writeChunk = () => {
-        if (written >= totalSize) {
-          writeStream.end();
-          console.log(`Generated ${totalSize / (1024 * 1024)}MB file at ${filePath}`);
-          resolve();
+        if (this.cancelRequested) {
+          // Close the stream before rejecting so the partial file can be removed
+          writeStream.destroy();
+          writeStream.once('close', () => reject(new TaskCancelledError(this.currentStage.id)));
+          return;
+        }
+        
+        if (chunks >= totalChunks) {
+          writeStream.end((error) => {
+            if (error) {
+              fail(error);
+              return;
+            }
+            this.setPartialFile(null);
+            console.log(`Generated ${sizeMB}MB file at ${filePath}`);
+            resolve({ filePath, sizeMB, bytesWritten: written, chunks, resumedFromChunk: resumed ? resumed.chunks : null });
+          });
           return;
         }
         
-        const remainingSize = Math.min(chunkSize, totalSize - written);
-        const randomData = crypto.randomBytes(remainingSize);
-        const jsonData = JSON.stringify({
-          timestamp: Date.now(),
-          data: randomData.toString('base64'),
-          chunk: written / chunkSize,
-          hash: crypto.createHash('sha256').update(randomData).digest('hex')
-        }) + '\n';
+        const randomData = crypto.randomBytes(RAW_CHUNK_BYTES);
+        const jsonData = formatChunk(chunks, totalChunks, randomData);
         
         writeStream.write(jsonData, (error) => {
           if (error) {
-            reject(error);
+            fail(error);
             return;
           }
           
           written += Buffer.byteLength(jsonData);
+          chunks++;
           
-          // Progress logging
-          if (written % (50 * 1024 * 1024) === 0) {
-            console.log(`Written ${written / (1024 * 1024)}MB of ${totalSize / (1024 * 1024)}MB`);
-          }
+          this.reportProgress({
+            percent: (chunks / totalChunks) * 100,
+            bytesWritten: written,
+            detail: `${(written / (1024 * 1024)).toFixed(0)}MB of ${sizeMB}MB`
+          });
+          this.checkpoint({ filePath, totalChunks, chunks, bytesWritten: written });
           
           setImmediate(writeChunk);
         });
@@ -109,10 +396,69 @@ class HeavyTaskWorker {
     });
   }
 
-  async processLargeJsonDataset() {
+  // The checkpoint of a data file to append to, once anything written
+  // after it has been cut off; null to start over
+  resumableDataFile(state, filePath, totalChunks) {
+    if (!state) return null;
+    if (state.filePath !== filePath || state.totalChunks !== totalChunks) {
+      console.log('Checkpoint is for another data file - starting over');
+      return null;
+    }
+    try {
+      if (fs.statSync(filePath).size < state.bytesWritten) {
+        console.log(`${filePath} is shorter than at its checkpoint - starting over`);
+        return null;
+      }
+      fs.truncateSync(filePath, state.bytesWritten);
+    } catch (error) {
+      console.log(`Cannot resume ${filePath} (${error.code || error.message}) - starting over`);
+      return null;
+    }
+    console.log(`Resuming ${filePath} at chunk ${state.chunks} of ${totalChunks}`);
+    return state;
+  }
 
+  async verifyRandomDataFile(filePath) {
+    console.log(`Verifying ${filePath}...`);
+    const report = await verifyDataFile(filePath, {
+      onProgress: ({ bytesRead, sizeBytes, chunksChecked }) => {
+        this.reportProgress({
+          percent: sizeBytes > 0 ? (bytesRead / sizeBytes) * 100 : 100,
+          recordsProcessed: chunksChecked,
+          detail: `${(bytesRead / (1024 * 1024)).toFixed(0)}MB of ${(sizeBytes / (1024 * 1024)).toFixed(0)}MB checked`
+        });
+      },
+      shouldStop: () => this.cancelRequested
+    });
+    this.throwIfCancelled();
+    if (report.error) {
+      throw new StageFailedError(this.currentStage.id, `Data file failed verification: ${report.error}`, report);
+    }
+    
+    report.corrupted.forEach(({ offset, chunk, reason }) => {
+      console.error(`Corrupted chunk ${chunk === null ? '?' : chunk} at offset ${offset}: ${reason}`);
+    });
+    report.missing.forEach(({ from, to, offset }) => {
+      console.error(`Missing chunk${from === to ? ` ${from}` : `s ${from}-${to}`} at offset ${offset}`);
+    });
+    if (report.truncated) {
+      console.error(`Truncated at offset ${report.truncated.offset}: ${report.truncated.reason}`);
+    }
+    
+    const summary = `${report.validChunks} of ${report.totalChunks === null ? '?' : report.totalChunks} chunks valid`;
+    if (!report.ok) {
+      throw new StageFailedError(this.currentStage.id,
+        `Data file failed verification: ${summary}, ${report.corruptedCount} corrupted, ${report.missingCount} missing${report.truncated ? ', truncated' : ''}`,
+        report);
+    }
+    console.log(`Verified ${filePath}: ${summary}`);
+    return report;
+  }
+
+  async processLargeJsonDataset(recordCount, query) {
     const records = [];
-    const recordCount = 500000;
+    const timings = {};
+    let stepStart = Date.now();
     
     console.log(`Generating ${recordCount} records...`);
     
@@ -140,23 +486,41 @@ class HeavyTaskWorker {
       
       // Yield control every 10000 records
       if (i % 10000 === 0 && i > 0) {
-        console.log(`Generated ${i} records...`);
-        await this.sleep(10);
+        // Generation is the first 60% of this stage, processing the rest
+        this.reportProgress({
+          percent: (i / recordCount) * 60,
+          recordsProcessed: i,
+          detail: `Generated ${i} of ${recordCount} records`
+        });
+        await this.yieldPoint(10);
       }
     }
     
+    timings.generateMs = Date.now() - stepStart;
+    stepStart = Date.now();
+    
     // Process records (sorting, filtering, aggregating)
     console.log('Processing records...');
+    this.reportProgress({ percent: 60, recordsProcessed: recordCount }, true);
     
-    // Multiple sorting operations
-    console.log('Sorting by score...');
-    records.sort((a, b) => b.score - a.score);
+    // Multiple sorting operations; yield between them so progress is flushed
+    const sorts = [
+      { label: 'score', compare: (a, b) => b.score - a.score },
+      { label: 'age', compare: (a, b) => a.age - b.age },
+      { label: 'salary', compare: (a, b) => b.salary - a.salary }
+    ];
+    for (let i = 0; i < sorts.length; i++) {
+      console.log(`Sorting by ${sorts[i].label}...`);
+      this.reportProgress({ percent: 60 + i * 10, detail: `Sorting by ${sorts[i].label}` }, true);
+      await this.yieldPoint(0);
+      records.sort(sorts[i].compare);
+    }
     
-    console.log('Sorting by age...');
-    records.sort((a, b) => a.age - b.age);
+    timings.sortMs = Date.now() - stepStart;
     
-    console.log('Sorting by salary...');
-    records.sort((a, b) => b.salary - a.salary);
+    this.reportProgress({ percent: 90, detail: 'Filtering and aggregating' }, true);
+    await this.yieldPoint(0);
+    stepStart = Date.now();
     
     // Filter operations
     const highScorers = records.filter(r => r.score > 90);
@@ -190,81 +554,244 @@ class HeavyTaskWorker {
     console.log(`Found ${youngUsers.length} young users`);
     console.log(`Age groups: ${Object.keys(ageGroups).length}`);
     console.log(`Language distribution: ${Object.keys(languageStats).length} languages`);
+    timings.aggregateMs = Date.now() - stepStart;
+    
+    // The user's own question, if any
+    let queryResult = null;
+    if (query) {
+      this.reportProgress({ percent: 95, detail: 'Running query' }, true);
+      await this.yieldPoint(0);
+      stepStart = Date.now();
+      queryResult = runQuery(records, parseQuery(query));
+      timings.queryMs = Date.now() - stepStart;
+      console.log(`Query returned ${queryResult.totalRows} rows${queryResult.truncated ? ` (first ${queryResult.rows.length} kept)` : ''}`);
+    }
+    
+    // Counts and averages only; the records themselves stay in the worker
+    const ageGroupCounts = {};
+    Object.keys(ageGroups).forEach(group => {
+      ageGroupCounts[`${group}-${Number(group) + 9}`] = ageGroups[group].length;
+    });
+    const languages = {};
+    Object.entries(languageStats).sort(([a], [b]) => a.localeCompare(b)).forEach(([lang, stats]) => {
+      languages[lang] = { count: stats.count, averageSalary: Math.round(stats.totalSalary / stats.count) };
+    });
     
     return {
       totalRecords: records.length,
       highScorers: highScorers.length,
       highEarners: highEarners.length,
       youngUsers: youngUsers.length,
-      ageGroups: Object.keys(ageGroups).length,
-      languages: Object.keys(languageStats).length
+      ageGroups: ageGroupCounts,
+      languages,
+      query: queryResult,
+      timings
     };
   }
 
-  async performComplexCalculations() {
+  async streamDatasetFile(params) {
+    const sorting = params.sortBy !== 'none';
+    console.log(`Streaming ${params.inputPath || `${params.syntheticRecords} generated records`} with a ${params.memoryBudgetMB}MB budget...`);
+    if (sorting) {
+      this.setPartialFile(params.sortOutputPath);
+    }
+
+    // Progress split when sorting: reading 0-80%, merging 80-100%
+    const result = await streamDataset(params, {
+      onProgress: ({ phase, fraction, records }) => {
+        const percent = phase === 'read' ? fraction * (sorting ? 80 : 100) : 80 + fraction * 20;
+        this.reportProgress({
+          percent,
+          recordsProcessed: records,
+          detail: phase === 'read' ? `Read ${records} records` : `Merging runs sorted by ${params.sortBy}`
+        });
+      },
+      shouldStop: () => this.cancelRequested
+    });
+    this.throwIfCancelled();
+    if (sorting) {
+      this.setPartialFile(null);
+    }
+
+    console.log(`Processed ${result.totalRecords} records (${result.recordsPerSecond} records/s)`);
+    if (result.invalidRecords > 0) {
+      console.log(`Skipped ${result.invalidRecords} lines that are not records`);
+    }
+    console.log(`Found ${result.highScorers} high scorers`);
+    console.log(`Found ${result.highEarners} high earners`);
+    console.log(`Found ${result.youngUsers} young users`);
+    if (result.sort) {
+      console.log(`Sorted by ${result.sort.by} into ${result.sort.outputPath} (${result.sort.runs} runs, ${result.sort.mergePasses} merge passes)`);
+    }
+    return result;
+  }
+
+  async performComplexCalculations({ matrixSize, fibonacci, hashIterations, algorithm, parallelism }) {
     console.log('Performing matrix operations...');
+    const timings = {};
+    let stepStart = Date.now();
     
-    // Matrix multiplication
-    const size = 500;
-    const matrix1 = this.generateMatrix(size, size);
-    const matrix2 = this.generateMatrix(size, size);
+    const threads = resolveParallelism(parallelism);
     
-    const result = this.multiplyMatrices(matrix1, matrix2);
-    console.log(`Completed ${size}x${size} matrix multiplication`);
+    // Progress split: matrix 0-20%, Fibonacci 20-80%, hashing 80-100%
+    // Matrix multiplication, in blocks of rows
+    const size = matrixSize;
+    const matrix1 = this.generateMatrix(size);
+    const matrix2 = this.generateMatrix(size);
+    const product = new SharedArrayBuffer(size * size * Float64Array.BYTES_PER_ELEMENT);
+    
+    this.reportProgress({ percent: 0, detail: `${size}x${size} matrix multiplication` }, true);
+    const rowBlocks = splitRange(0, size, threads)
+      .map(range => ({ ...range, a: matrix1, b: matrix2, out: product, size, algorithm }));
+    const matrixShards = await this.runShardedStep('matrixRows', rowBlocks, (done) => {
+      this.reportProgress({
+        percent: (done / size) * 20,
+        detail: `${size}x${size} matrix multiplication: ${done} of ${size} rows on ${rowBlocks.length} threads`
+      });
+    });
+    console.log(`Completed ${size}x${size} matrix multiplication on ${matrixShards.length} threads`);
+    timings.matrixMs = Date.now() - stepStart;
+    stepStart = Date.now();
     
     // Fibonacci calculations
     console.log('Calculating Fibonacci numbers...');
-    const fibCount = 45;
-    for (let i = 1; i <= fibCount; i++) {
-      const fib = this.fibonacci(i);
-      if (i % 5 === 0) {
-        console.log(`Fibonacci(${i}) = ${fib}`);
-      }
-    }
+    const fibCount = fibonacci;
+    const fibValue = algorithm === 'naive'
+      ? await this.calculateFibonacciNaive(fibCount)
+      : formatFibonacci(FIBONACCI.optimised(fibCount));
+    console.log(`Fibonacci(${fibCount}) = ${fibValue}`);
+    
+    timings.fibonacciMs = Date.now() - stepStart;
+    stepStart = Date.now();
     
-    // Hash calculations
+    // Hash calculations, in index ranges
     console.log('Performing hash calculations...');
-    for (let i = 0; i < 100000; i++) {
-      const data = `complex_calculation_${i}_${Date.now()}`;
-      const hash = crypto.createHash('sha256').update(data).digest('hex');
-      
-      if (i % 10000 === 0) {
-        console.log(`Hash calculation ${i}/100000 completed`);
-      }
-    }
+    this.reportProgress({ percent: 80, detail: 'Hash calculations' }, true);
+    const hashRanges = splitRange(0, hashIterations, threads);
+    const hashShards = await this.runShardedStep('hashRange', hashRanges, (done) => {
+      this.reportProgress({
+        percent: 80 + (done / hashIterations) * 20,
+        detail: `Hash calculation ${done}/${hashIterations} on ${hashRanges.length} threads`
+      });
+    });
+    
+    // XOR of every digest: the same however the iterations were split
+    const hashDigest = Buffer.alloc(32);
+    hashShards.forEach(shard => {
+      Buffer.from(shard.result.xor, 'hex').forEach((byte, index) => {
+        hashDigest[index] ^= byte;
+      });
+    });
+    const lastHash = hashShards.length > 0 ? hashShards[hashShards.length - 1].result.last : null;
     
     console.log('Complex calculations completed');
+    timings.hashMs = Date.now() - stepStart;
+    
+    // The trace is a cheap fingerprint of the product matrix
+    const result = new Float64Array(product);
+    let trace = 0;
+    for (let i = 0; i < size; i++) {
+      trace += result[i * size + i];
+    }
+    
+    return {
+      matrixSize: size,
+      matrixTrace: Math.round(trace),
+      fibonacci: { n: fibCount, value: fibValue },
+      hashIterations,
+      algorithm,
+      hashDigest: hashShards.length > 0 ? hashDigest.toString('hex') : null,
+      lastHash,
+      parallelism: threads,
+      shards: {
+        matrix: this.describeShards(matrixShards),
+        hash: this.describeShards(hashShards)
+      },
+      timings
+    };
   }
 
-  generateMatrix(rows, cols) {
-    const matrix = [];
-    for (let i = 0; i < rows; i++) {
-      matrix[i] = [];
-      for (let j = 0; j < cols; j++) {
-        matrix[i][j] = Math.random() * 100;
-      }
+  // A size x size matrix of random values, flat and row-major, in shared
+  // memory so the shard threads can read it without copying
+  generateMatrix(size) {
+    const buffer = new SharedArrayBuffer(size * size * Float64Array.BYTES_PER_ELEMENT);
+    const matrix = new Float64Array(buffer);
+    for (let i = 0; i < matrix.length; i++) {
+      matrix[i] = Math.random() * 100;
     }
-    return matrix;
+    return buffer;
   }
 
-  multiplyMatrices(a, b) {
-    const result = [];
-    for (let i = 0; i < a.length; i++) {
-      result[i] = [];
-      for (let j = 0; j < b[0].length; j++) {
-        let sum = 0;
-        for (let k = 0; k < a[0].length; k++) {
-          sum += a[i][k] * b[k][j];
-        }
-        result[i][j] = sum;
+  // Run one step of the current stage across shard threads (see shards.js).
+  // Resolves with the shards in order, or throws if the task was cancelled.
+  async runShardedStep(kind, inputs, onProgress) {
+    const cpuBefore = this.shardCpuSeconds;
+    const shards = await runShards(kind, inputs, {
+      onProgress,
+      onCpuSeconds: (seconds) => { this.shardCpuSeconds = cpuBefore + seconds; },
+      shouldStop: () => this.cancelRequested
+    });
+    this.throwIfCancelled();
+    shards.forEach((shard, index) => {
+      console.log(`Shard ${index + 1}/${shards.length} [${shard.from}, ${shard.to}) done in ${shard.durationMs}ms`);
+    });
+    return shards;
+  }
+
+  describeShards(shards) {
+    return shards.map(({ from, to, durationMs }, shard) => ({ shard, from, to, durationMs }));
+  }
+
+  // Recursive fib(i) for every i up to n. Recursive fib(n) costs ~1.618x
+  // fib(n-1), so weight each step by that to keep the ETA meaningful.
+  async calculateFibonacciNaive(n) {
+    const totalWeight = Math.pow(1.618, n + 1);
+    let value = 0;
+    for (let i = 1; i <= n; i++) {
+      this.reportProgress({
+        percent: 20 + (Math.pow(1.618, i) / totalWeight) * 60,
+        detail: `Fibonacci(${i})`
+      });
+      await this.yieldPoint(0);
+      value = FIBONACCI.naive(i);
+      if (i % 5 === 0) {
+        console.log(`Fibonacci(${i}) = ${value}`);
       }
     }
-    return result;
+    return value;
   }
 
-  fibonacci(n) {
-    if (n <= 1) return n;
-    return this.fibonacci(n - 1) + this.fibonacci(n - 2);
+  // Yield to the event loop (letting IPC messages in) and abort the
+  // task if cancellation was requested in the meantime
+  async yieldPoint(ms) {
+    await this.sleep(ms);
+    this.throwIfCancelled();
+  }
+
+  throwIfCancelled() {
+    if (this.cancelRequested) {
+      throw new TaskCancelledError(this.currentStage ? this.currentStage.id : 'startup');
+    }
+  }
+
+  // Tell the parent which file is incomplete, so it can clean up
+  // if it has to kill the worker before it removes the file itself
+  setPartialFile(filePath) {
+    this.partialFilePath = filePath;
+    this.send({ type: 'partial-file', path: filePath });
+  }
+
+  removePartialFile() {
+    if (!this.partialFilePath) return;
+    try {
+      fs.unlinkSync(this.partialFilePath);
+      console.log(`Removed partial file ${this.partialFilePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove partial file:', error.message);
+      }
+    }
+    this.partialFilePath = null;
   }
 
   sleep(ms) {
@@ -272,5 +799,101 @@ class HeavyTaskWorker {
   }
 }
 
-// Start the worker
-new HeavyTaskWorker(); 
\ No newline at end of file
+// Child process: run once with the options from HEAVY_TASK_OPTIONS, then
+// exit with the run's code. Options are validated again here so the worker
+// can also be run directly, e.g. for a CI smoke test of a single stage:
+//   HEAVY_TASK_OPTIONS='{"stages":["primes"],"params":{"primes":{"count":100}}}' node src/worker.js
+function runAsChildProcess() {
+  let options;
+  try {
+    options = validateTaskOptions(JSON.parse(process.env.HEAVY_TASK_OPTIONS || '{}'));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Set by WorkerRunner when this run resumes an interrupted one
+  let resume = null;
+  try {
+    resume = process.env.HEAVY_TASK_RESUME ? JSON.parse(process.env.HEAVY_TASK_RESUME) : null;
+  } catch (error) {
+    console.error('Ignoring unreadable HEAVY_TASK_RESUME:', error.message);
+  }
+
+  // Messages go over the IPC channel when spawned by main.js. When run
+  // directly with `node worker.js` they are printed as JSON lines instead.
+  // Once the channel has closed they are dropped.
+  const worker = new HeavyTaskWorker(options, (message, callback) => {
+    if (typeof process.send !== 'function') {
+      console.log(JSON.stringify(message));
+      if (callback) callback();
+    } else if (process.connected) {
+      process.send(message, callback);
+    } else if (callback) {
+      callback();
+    }
+  }, resume);
+
+  process.on('message', (message) => {
+    if (message && message.type === 'cancel') {
+      worker.cancel();
+    }
+  });
+
+  // The app quit or crashed: nobody is left to report to, so stop and
+  // leave the checkpoint and partial file for the next instance
+  process.on('disconnect', () => worker.suspend());
+
+  // Send final usage figures before exiting so CPU time is exact. IPC
+  // messages are asynchronous, so only exit once they have been flushed.
+  worker.run().then(code => worker.reportUsage(() => process.exit(code)));
+}
+
+// Pooled thread: runs one task per 'run' message and stays alive for the
+// next, reporting { type: 'done', code } instead of exiting
+function runAsPoolThread() {
+  let worker = null;
+
+  parentPort.on('message', (message) => {
+    if (!message) return;
+    if (message.type === 'cancel' && worker) {
+      worker.cancel();
+      return;
+    }
+    if (message.type !== 'run') return;
+
+    let options;
+    try {
+      options = validateTaskOptions(message.options);
+    } catch (error) {
+      console.error(error.message);
+      parentPort.postMessage({ type: 'done', code: 1 });
+      return;
+    }
+
+    worker = new HeavyTaskWorker(options, (reply, callback) => {
+      parentPort.postMessage(reply);
+      if (callback) callback();
+    }, message.resume);
+    worker.run().then(async (code) => {
+      worker.reportUsage();
+      worker = null;
+      // Thread stdio reaches the main process on another channel; wait for
+      // it so no output of this task is attributed to the next one
+      await flushStdio();
+      parentPort.postMessage({ type: 'done', code });
+    });
+  });
+}
+
+// Resolves once the main process has received everything written so far
+function flushStdio() {
+  const flush = stream => new Promise(resolve => stream.write('', resolve));
+  return Promise.all([flush(process.stdout), flush(process.stderr)]);
+}
+
+if (!isMainThread) {
+  runAsPoolThread();
+} else if (require.main === module) {
+  runAsChildProcess();
+} 
\ No newline at end of file